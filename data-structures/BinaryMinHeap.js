@@ -7,6 +7,10 @@
 // A Heap is really good at basic ordering and keeping 
 // track of max and min elements.
 // 
+// Items are compared with the given comparator, or with 
+// the < and > operators by default, which allows to keep 
+// items such as [priority, value] pairs in the Heap.
+// 
 // This implementation provides four operations to do 
 // with a Heap: insert, peek, extractMin, and removeAll. 
 // Other implementations are possible.
@@ -28,9 +32,23 @@
 // - https://github.com/trekhleb/javascript-algorithms/blob/master/src/data-structures/heap
 
 
+// Compares the given items with the < and > operators. 
+// Returns a negative number if the first item is less, 
+// a positive number if it is greater, otherwise 0.
+function compareByDefault(item, otherItem) {
+  if (item < otherItem) {
+    return -1
+  }
+  if (item > otherItem) {
+    return 1
+  }
+  return 0
+}
+
 export default class BinaryMinHeap {
-  constructor() {
+  constructor(comparator = compareByDefault) {
     this.items = []
+    this.comparator = comparator
     return this
   }
 
@@ -136,7 +154,7 @@ export default class BinaryMinHeap {
     let index = this.items.length - 1
 
     while (this.#hasParent(index) && 
-          (this.#getParent(index) > this.items[index])) {
+          (this.comparator(this.#getParent(index), this.items[index]) > 0)) {
       const parentIndex = this.#getParentIndex(index)
 
       this.#swapItemsAt(parentIndex, index)
@@ -157,11 +175,11 @@ export default class BinaryMinHeap {
     while (this.#hasLeftChild(index)) {
       let indexOfASmallerChild = this.#getLeftChildIndex(index)
       if (this.#hasRightChild(index) && 
-         (this.#getRightChild(index) < this.#getLeftChild(index))) {
+         (this.comparator(this.#getRightChild(index), this.#getLeftChild(index)) < 0)) {
         indexOfASmallerChild = this.#getRightChildIndex(index)
       }
 
-      if (this.items[index] < indexOfASmallerChild) {
+      if (this.comparator(this.items[index], this.items[indexOfASmallerChild]) <= 0) {
         break
       }
 
@@ -206,9 +224,12 @@ export default class BinaryMinHeap {
     }
 
     const item = this.items[0]
+    const lastItem = this.items.pop()
 
-    this.items[0] = this.items.pop()
-    this.#bubbleDown() 
+    if (this.items.length !== 0) {
+      this.items[0] = lastItem
+      this.#bubbleDown() 
+    }
 
     return item
   }
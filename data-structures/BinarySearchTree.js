@@ -5,12 +5,41 @@
 // parent Node is placed to the left of such Node, and
 // every Node that is greater — to the right.
 //
-// This implementation provides four operations to do with
-// a Binary Search Tree: insert, get, remove, and
-// removeAll. Other implementations are possible.
+// This implementation provides twenty-one operations to
+// do with a Binary Search Tree: insert, fromSorted, get,
+// min, max, floor, ceiling, lower, higher, range, rank,
+// select, remove, merge, split, removeAll,
+// checkInvariants, inOrder, preOrder, postOrder, and
+// levelOrder, and exposes its size. Other
+// implementations are possible.
 //
-// TODO: check validity on insertion, balance, insert in
-// the middle.
+// Nodes are ordered by their keys, compared with the
+// given comparator (by default, with the < and >
+// operators), and may carry a value. When only a key is
+// inserted, it serves as the value as well. Keys equal to
+// an existing one are either kept (by default, placed to
+// the left), rejected, or replace the existing one, as
+// set with the duplicates option.
+//
+// Every Node keeps the size of its subtree, which allows
+// to answer order statistics queries (such as "how many
+// keys are less than x" or "which key is the k-th
+// smallest") in O(log(n)) time on a balanced Tree.
+//
+// The Tree is iterable, yielding its keys in sorted
+// order. All traversals are iterative, thus deep
+// unbalanced Trees do not exhaust the call stack.
+//
+// Inserting keys in sorted order degrades a plain Binary
+// Search Tree into a linked list, with operations taking
+// O(n) time. When constructed with the balanced option
+// set, the Tree is kept balanced as an AVL Tree: the
+// heights of the two subtrees of every Node differ by at
+// most one, which is restored with rotations after every
+// insertion and removal. Thus the height of the Tree stays
+// O(log(n)).
+//
+// TODO: check validity on insertion, insert in the middle.
 //
 //                   ┌───────┐
 //                   │   5   │
@@ -26,97 +55,565 @@
 //
 // Additional resources:
 // - https://www.youtube.com/watch?v=oSWTXtMglKE
+// - https://en.wikipedia.org/wiki/AVL_tree
+// - https://en.wikipedia.org/wiki/Tree_traversal
+
+
+import { Queue } from '../mod.js'
 
 class Node {
-  constructor(value) {
+  constructor(key, value) {
+    this.key = key
     this.value = value
     this.leftBranch = null
     this.rightBranch = null
+    // The number of Nodes on the longest path from this
+    // Node down to a leaf, including this Node.
+    this.height = 1
+    // The number of Nodes in the subtree of this Node,
+    // including this Node.
+    this.size = 1
+  }
+}
+
+const DUPLICATES_POLICIES = ['multiset', 'reject', 'replace']
+
+// Compares the given keys with the < and > operators.
+// Returns a negative number if the first key is less,
+// a positive number if it is greater, otherwise 0.
+function compareByDefault(key, otherKey) {
+  if (key < otherKey) {
+    return -1
   }
+  if (key > otherKey) {
+    return 1
+  }
+  return 0
+}
+
+// Returns the given key as a string for error messages.
+// Plain objects and arrays, common with custom
+// comparators, are shown as JSON rather than as
+// '[object Object]'.
+function formatKey(key) {
+  if (key !== null && typeof key === 'object' &&
+      (key.toString === Object.prototype.toString || Array.isArray(key))) {
+    try {
+      return JSON.stringify(key)
+    } catch {
+      // Such as with circular references.
+    }
+  }
+
+  return String(key)
+}
+
+// Returns the height of the given Node, or 0 if there is
+// no Node.
+function getHeight(node) {
+  return node ? node.height : 0
+}
+
+// Returns the size of the subtree of the given Node, or 0
+// if there is no Node.
+function getSize(node) {
+  return node ? node.size : 0
+}
+
+// Returns the difference between the heights of the left
+// and the right subtrees of the given Node.
+function getBalanceFactor(node) {
+  return getHeight(node.leftBranch) - getHeight(node.rightBranch)
 }
 
 export default class BinarySearchTree {
-  constructor() {
+  constructor({
+    balanced = false,
+    comparator = compareByDefault,
+    duplicates = 'multiset',
+  } = {}) {
+    if (!DUPLICATES_POLICIES.includes(duplicates)) {
+      throw new Error(`Duplicates policy ${duplicates} is not supported. Provide one of: ${DUPLICATES_POLICIES.join(', ')}.`)
+    }
+
     this.root = null
+    this.isBalanced = balanced
+    this.comparator = comparator
+    this.duplicates = duplicates
     return this
   }
 
-  // Returns the location (an array containing the parent
-  // Node and the branch) of the Node that satisfies the
-  // given predicate. If no such Node is found, returns
-  // null.
+  // Creates a new Tree with the given options out of the
+  // given array of keys sorted in ascending order, each
+  // key serving as its own value. The Tree is built
+  // perfectly balanced, without inserting the keys one by
+  // one, except that a plain Tree keeps a run of equal
+  // keys as a chain to the left of the last of them, as
+  // insertion would. If the keys are not sorted, throws an
+  // error.
+  //
+  // - Complexity (Scalability): O(n), where n is the number
+  //   of keys in the given array.
+  static fromSorted(array, options) {
+    const tree = new BinarySearchTree(options)
+    tree.#build(array.map((key) => [key, key]))
+    return tree
+  }
+
+  // Creates an empty Tree with the same options as the
+  // Tree.
+  //
+  // - Complexity (Scalability): O(1).
+  #createEmptyCopy() {
+    return new BinarySearchTree({
+      balanced: this.isBalanced,
+      comparator: this.comparator,
+      duplicates: this.duplicates,
+    })
+  }
+
+  // Replaces the Nodes of the Tree with a perfectly
+  // balanced Tree (see fromSorted for a plain Tree's equal
+  // keys) built out of the given [key, value] entries
+  // sorted by key. Equal keys are kept, rejected
+  // or replaced with the latest one, as set with the
+  // duplicates option. If the entries are not sorted, or
+  // a key is rejected, throws an error and leaves the Tree
+  // unchanged.
+  //
+  // - Complexity (Scalability): O(n), where n is the number
+  //   of given entries.
+  #build(entries) {
+    const sortedEntries = []
+
+    for (const entry of entries) {
+      const previousEntry = sortedEntries[sortedEntries.length - 1]
+      const comparison = previousEntry
+        ? this.comparator(previousEntry[0], entry[0])
+        : -1
+
+      if (comparison > 0) {
+        throw new Error(`The given keys are not sorted: ${formatKey(entry[0])} follows ${formatKey(previousEntry[0])}.`)
+      }
+      if (comparison === 0 && this.duplicates === 'reject') {
+        throw new Error(`The given key ${formatKey(entry[0])} cannot be inserted because it already exists.`)
+      }
+
+      if (comparison === 0 && this.duplicates === 'replace') {
+        sortedEntries[sortedEntries.length - 1] = entry
+      } else {
+        sortedEntries.push(entry)
+      }
+    }
+
+    // A plain Tree keeps keys equal to a Node strictly to
+    // its left, so the root of a subtree must be the last
+    // of the keys equal to it. For every entry, this is the
+    // index of the last entry with an equal key.
+    const runEnds = Array(sortedEntries.length)
+
+    for (let i = sortedEntries.length - 1; i >= 0; i--) {
+      runEnds[i] = i + 1 < sortedEntries.length &&
+        this.comparator(sortedEntries[i][0], sortedEntries[i + 1][0]) === 0
+        ? runEnds[i + 1]
+        : i
+    }
+
+    // Every range of entries becomes a subtree rooted at its
+    // middle entry. The Nodes are created top down, and
+    // their heights and sizes are calculated bottom up.
+    const stack = [[0, sortedEntries.length - 1, null, null]]
+    const nodes = []
+    this.root = null
+
+    while (stack.length !== 0) {
+      const [first, last, parentNode, branch] = stack.pop()
+
+      if (first > last) {
+        continue
+      }
+
+      let middle = Math.floor((first + last) / 2)
+
+      if (!this.isBalanced) {
+        middle = Math.min(runEnds[middle], last)
+      }
+
+      const [key, value] = sortedEntries[middle]
+      const node = new Node(key, value)
+
+      if (parentNode) {
+        parentNode[branch] = node
+      } else {
+        this.root = node
+      }
+
+      nodes.push(node)
+      stack.push([first, middle - 1, node, 'leftBranch'])
+      stack.push([middle + 1, last, node, 'rightBranch'])
+    }
+
+    for (let i = nodes.length - 1; i >= 0; i--) {
+      this.#update(nodes[i])
+    }
+
+    return this
+  }
+
+  // Returns the number of Nodes in the Tree.
+  //
+  // - Complexity (Scalability): O(1).
+  get size() {
+    return getSize(this.root)
+  }
+
+  // Recalculates the height and the subtree size of the
+  // given Node from those of its children.
+  //
+  // - Complexity (Scalability): O(1).
+  #update(node) {
+    node.height = 1 + Math.max(getHeight(node.leftBranch), getHeight(node.rightBranch))
+    node.size = 1 + getSize(node.leftBranch) + getSize(node.rightBranch)
+  }
+
+  // Rotates the subtree of the given Node to the left, so
+  // that its right child takes its place. Returns the new
+  // root of the subtree.
+  //
+  // - Complexity (Scalability): O(1).
+  #rotateLeft(node) {
+    const pivotNode = node.rightBranch
+    node.rightBranch = pivotNode.leftBranch
+    pivotNode.leftBranch = node
+
+    this.#update(node)
+    this.#update(pivotNode)
+
+    return pivotNode
+  }
+
+  // Rotates the subtree of the given Node to the right, so
+  // that its left child takes its place. Returns the new
+  // root of the subtree.
+  //
+  // - Complexity (Scalability): O(1).
+  #rotateRight(node) {
+    const pivotNode = node.leftBranch
+    node.leftBranch = pivotNode.rightBranch
+    pivotNode.rightBranch = node
+
+    this.#update(node)
+    this.#update(pivotNode)
+
+    return pivotNode
+  }
+
+  // Restores the balance of the subtree of the given Node
+  // with one or two rotations, if it is unbalanced.
+  // Returns the new root of the subtree.
+  //
+  // - Complexity (Scalability): O(1).
+  #rebalance(node) {
+    const balanceFactor = getBalanceFactor(node)
+
+    // If the left subtree is too high
+    if (balanceFactor > 1) {
+      if (getBalanceFactor(node.leftBranch) < 0) {
+        node.leftBranch = this.#rotateLeft(node.leftBranch)
+      }
+      return this.#rotateRight(node)
+    }
+
+    // If the right subtree is too high
+    if (balanceFactor < -1) {
+      if (getBalanceFactor(node.rightBranch) > 0) {
+        node.rightBranch = this.#rotateRight(node.rightBranch)
+      }
+      return this.#rotateLeft(node)
+    }
+
+    return node
+  }
+
+  // Replaces the given child of the given parent Node (or
+  // the root if there is no parent) with the given Node.
+  //
+  // - Complexity (Scalability): O(1).
+  #replaceChild(parentNode, childNode, node) {
+    if (!parentNode) {
+      this.root = node
+    } else if (parentNode.leftBranch === childNode) {
+      parentNode.leftBranch = node
+    } else {
+      parentNode.rightBranch = node
+    }
+  }
+
+  // Walks the given path (an array of Nodes starting with
+  // the root) bottom up, updating the heights of its Nodes
+  // and, if the Tree is balanced, rebalancing them.
+  //
+  // - Complexity (Scalability): O(d), where d is the length
+  //   of the path.
+  #retrace(path) {
+    for (let i = path.length - 1; i >= 0; i--) {
+      const node = path[i]
+      this.#update(node)
+
+      if (this.isBalanced) {
+        const balancedNode = this.#rebalance(node)
+
+        if (balancedNode !== node) {
+          this.#replaceChild(path[i - 1], node, balancedNode)
+        }
+      }
+    }
+  }
+
+  // Creates a new Node that contains the given key and
+  // value (the key itself, if no value is given) and
+  // inserts it a null position. Rebalances the Tree if it
+  // is balanced. If the key already exists, depending on
+  // the duplicates option, inserts it anyway, throws an
+  // error, or replaces the existing key and value. Returns
+  // the updated Tree.
   //
   // - Complexity (Scalability): O(log(n)) or the height of
   //   the Binary Search Tree.
-  #conditionalGet(value, predicate) {
+  insert(key, value = key) {
+    if (this.duplicates !== 'multiset') {
+      const pathToKey = this.#getPathTo(key)
+
+      if (pathToKey && this.duplicates === 'reject') {
+        throw new Error(`The given key ${formatKey(key)} cannot be inserted because it already exists.`)
+      }
+      if (pathToKey) {
+        const existingNode = pathToKey[pathToKey.length - 1]
+        existingNode.key = key
+        existingNode.value = value
+        return this
+      }
+    }
+
+    const node = new Node(key, value)
+
+    if (!this.root) {
+      this.root = node
+      return this
+    }
+
+    const path = []
     let traversalNode = this.root
+
+    while (traversalNode) {
+      path.push(traversalNode)
+      traversalNode = this.comparator(key, traversalNode.key) <= 0
+        ? traversalNode.leftBranch
+        : traversalNode.rightBranch
+    }
+
+    const insertionNode = path[path.length - 1]
+
+    if (this.comparator(key, insertionNode.key) <= 0) {
+      insertionNode.leftBranch = node
+    } else {
+      insertionNode.rightBranch = node
+    }
+
+    this.#retrace(path)
+
+    return this
+  }
+
+  // Returns the value stored under the sought key if such
+  // is found, otherwise null.
+  //
+  // - Complexity (Scalability): O(log(n)) or the height of
+  //   the Binary Search Tree.
+  get(key) {
+    const path = this.#getPathTo(key)
+    return path ? path[path.length - 1].value : null
+  }
+
+  // Returns the smallest key of the Tree, or null if the
+  // Tree is empty.
+  //
+  // - Complexity (Scalability): O(log(n)) or the height of
+  //   the Binary Search Tree.
+  min() {
+    let traversalNode = this.root
+
+    while (traversalNode?.leftBranch) {
+      traversalNode = traversalNode.leftBranch
+    }
+
+    return traversalNode ? traversalNode.key : null
+  }
+
+  // Returns the greatest key of the Tree, or null if the
+  // Tree is empty.
+  //
+  // - Complexity (Scalability): O(log(n)) or the height of
+  //   the Binary Search Tree.
+  max() {
+    let traversalNode = this.root
+
+    while (traversalNode?.rightBranch) {
+      traversalNode = traversalNode.rightBranch
+    }
+
+    return traversalNode ? traversalNode.key : null
+  }
+
+  // Returns the greatest (if isGreatest is set) or the
+  // smallest key that satisfies the given predicate, or
+  // null if there is no such key. The predicate, which is
+  // given the result of comparing a key with the given
+  // one, must hold for all keys below (or above,
+  // respectively) the sought one.
+  //
+  // - Complexity (Scalability): O(log(n)) or the height of
+  //   the Binary Search Tree.
+  #findBoundary(key, predicate, isGreatest) {
     let soughtNode = null
-    let soughtBranch = ''
+    let traversalNode = this.root
 
     while (traversalNode) {
-      if (value <= traversalNode.value) {
-        if (predicate(traversalNode.leftBranch)) {
-          soughtNode = traversalNode
-          soughtBranch = 'leftBranch'
-          break
-        } else {
-          traversalNode = traversalNode.leftBranch
-        }
+      if (predicate(this.comparator(traversalNode.key, key))) {
+        soughtNode = traversalNode
+        traversalNode = isGreatest ? traversalNode.rightBranch : traversalNode.leftBranch
       } else {
-        if (predicate(traversalNode.rightBranch)) {
-          soughtNode = traversalNode
-          soughtBranch = 'rightBranch'
-          break
+        traversalNode = isGreatest ? traversalNode.leftBranch : traversalNode.rightBranch
+      }
+    }
+
+    return soughtNode ? soughtNode.key : null
+  }
+
+  // Returns the greatest key less than or equal to the
+  // given one, or null if there is no such key.
+  //
+  // - Complexity (Scalability): O(log(n)) or the height of
+  //   the Binary Search Tree.
+  floor(key) {
+    return this.#findBoundary(key, (comparison) => comparison <= 0, true)
+  }
+
+  // Returns the smallest key greater than or equal to the
+  // given one, or null if there is no such key.
+  //
+  // - Complexity (Scalability): O(log(n)) or the height of
+  //   the Binary Search Tree.
+  ceiling(key) {
+    return this.#findBoundary(key, (comparison) => comparison >= 0, false)
+  }
+
+  // Returns the greatest key strictly less than the given
+  // one, or null if there is no such key.
+  //
+  // - Complexity (Scalability): O(log(n)) or the height of
+  //   the Binary Search Tree.
+  lower(key) {
+    return this.#findBoundary(key, (comparison) => comparison < 0, true)
+  }
+
+  // Returns the smallest key strictly greater than the
+  // given one, or null if there is no such key.
+  //
+  // - Complexity (Scalability): O(log(n)) or the height of
+  //   the Binary Search Tree.
+  higher(key) {
+    return this.#findBoundary(key, (comparison) => comparison > 0, false)
+  }
+
+  // Yields, in sorted order, the keys that lie between
+  // the given lower and upper bounds, including the bounds
+  // themselves unless inclusive is set to false. Subtrees
+  // outside the bounds are not visited.
+  //
+  // - Complexity (Scalability): O(log(n) + k), where k is
+  //   the number of yielded keys, on a balanced Tree.
+  *range(lowerBound, upperBound, { inclusive = true } = {}) {
+    const isAboveLowerBound = (key) => {
+      const comparison = this.comparator(key, lowerBound)
+      return inclusive ? comparison >= 0 : comparison > 0
+    }
+    const isBelowUpperBound = (key) => {
+      const comparison = this.comparator(key, upperBound)
+      return inclusive ? comparison <= 0 : comparison < 0
+    }
+    const stack = []
+    let traversalNode = this.root
+
+    while (stack.length !== 0 || traversalNode) {
+      if (traversalNode) {
+        // The left branch of a Node below the lower bound
+        // is below it as well.
+        if (isAboveLowerBound(traversalNode.key)) {
+          stack.push(traversalNode)
+          traversalNode = traversalNode.leftBranch
         } else {
           traversalNode = traversalNode.rightBranch
         }
+        continue
+      }
+
+      const node = stack.pop()
+
+      if (!isBelowUpperBound(node.key)) {
+        return
       }
-    }
 
-    return soughtNode ? [soughtNode, soughtBranch] : null
+      yield node.key
+      traversalNode = node.rightBranch
+    }
   }
 
-  // Creates a new Node that contains the given value and
-  // inserts it a null position. Returns the updated
-  // Tree.
+  // Returns the number of keys in the Tree that are
+  // strictly less than the given one.
   //
   // - Complexity (Scalability): O(log(n)) or the height of
   //   the Binary Search Tree.
-  insert(value) {
-    const node = new Node(value)
+  rank(key) {
+    let rank = 0
+    let traversalNode = this.root
 
-    if (!this.root) {
-      this.root = node
-      return this
+    while (traversalNode) {
+      if (this.comparator(key, traversalNode.key) <= 0) {
+        traversalNode = traversalNode.leftBranch
+      } else {
+        // The Node and its whole left branch are less.
+        rank += getSize(traversalNode.leftBranch) + 1
+        traversalNode = traversalNode.rightBranch
+      }
     }
 
-    const [insertionNode, insertionBranch] =
-      this.#conditionalGet(value, (node) => node === null)
-    insertionNode[insertionBranch] = node
-
-    return this
+    return rank
   }
 
-  // Returns the Node that contains the sought value if such
-  // is found, otherwise null.
+  // Returns the k-th smallest key of the Tree, counting
+  // from 0, so that select(rank(key)) returns the key if
+  // it is in the Tree. If k is out of bounds, returns
+  // null.
   //
   // - Complexity (Scalability): O(log(n)) or the height of
   //   the Binary Search Tree.
-  get(value) {
-    if (!this.root) {
+  select(k) {
+    if (k < 0 || k >= this.size) {
       return null
     }
 
     let traversalNode = this.root
 
     while (traversalNode) {
-      if (value <= traversalNode.value) {
-        if (value === traversalNode.value &&
-            value !== traversalNode.leftBranch?.value) {
-          return traversalNode
-        }
+      const leftSize = getSize(traversalNode.leftBranch)
+
+      if (k < leftSize) {
         traversalNode = traversalNode.leftBranch
+      } else if (k === leftSize) {
+        return traversalNode.key
       } else {
+        k -= leftSize + 1
         traversalNode = traversalNode.rightBranch
       }
     }
@@ -124,36 +621,195 @@ export default class BinarySearchTree {
     return null
   }
 
+  // Returns the path (an array of Nodes starting with the
+  // root) down to a Node that contains the sought key if
+  // such is found, otherwise null.
+  //
+  // - Complexity (Scalability): O(log(n)) or the height of
+  //   the Binary Search Tree.
+  #getPathTo(key) {
+    const path = []
+    let traversalNode = this.root
+
+    while (traversalNode) {
+      path.push(traversalNode)
+
+      const comparison = this.comparator(key, traversalNode.key)
+
+      if (comparison === 0) {
+        return path
+      }
+
+      traversalNode = comparison < 0
+        ? traversalNode.leftBranch
+        : traversalNode.rightBranch
+    }
+
+    return null
+  }
+
   // Removes and returns the Node that contains the sought
-  // value if one is found, otherwise returns null.
+  // key if one is found, otherwise returns null. A leaf
+  // is removed, a Node with one child is replaced with it,
+  // and a Node with two children is replaced with its
+  // in-order predecessor, which keeps keys equal to it on
+  // the left. Rebalances the Tree if it is balanced.
   //
   // - Complexity (Scalability): O(log(n)) or the height of
   //   the Binary Search Tree.
-  remove(value) {
-    if (!this.root) {
+  remove(key) {
+    const path = this.#getPathTo(key)
+
+    if (!path) {
       return null
     }
 
-    if (value === this.root.value) {
-      const removedNode = this.root
-      this.root = null
-      return removedNode
-    }
+    const removedNode = path.pop()
+    const parentNode = path[path.length - 1]
 
-    const locationOfNode =
-      this.#conditionalGet(value, (node) => node.value === value)
+    if (removedNode.leftBranch && removedNode.rightBranch) {
+      // The predecessor is the rightmost Node of the left
+      // subtree.
+      const predecessorPath = []
+      let predecessorNode = removedNode.leftBranch
 
-    if (!locationOfNode) {
-      return null
+      while (predecessorNode.rightBranch) {
+        predecessorPath.push(predecessorNode)
+        predecessorNode = predecessorNode.rightBranch
+      }
+
+      if (predecessorPath.length !== 0) {
+        predecessorPath[predecessorPath.length - 1].rightBranch = predecessorNode.leftBranch
+        predecessorNode.leftBranch = removedNode.leftBranch
+      }
+      predecessorNode.rightBranch = removedNode.rightBranch
+
+      this.#replaceChild(parentNode, removedNode, predecessorNode)
+      path.push(predecessorNode, ...predecessorPath)
+    } else {
+      this.#replaceChild(parentNode, removedNode, removedNode.leftBranch ?? removedNode.rightBranch)
     }
 
-    const [removalNode, soughtBranch] = locationOfNode
-    const removedNode = removalNode[soughtBranch]
-    removalNode[soughtBranch] = null
+    this.#retrace(path)
+
+    removedNode.leftBranch = null
+    removedNode.rightBranch = null
+    removedNode.height = 1
+    removedNode.size = 1
 
     return removedNode
   }
 
+  // Merges the keys and values of the given Tree, which is
+  // expected to be ordered with the same comparator, into
+  // the Tree. The Tree is rebuilt perfectly balanced. Equal
+  // keys are kept, rejected or replaced with those of the
+  // given Tree, as set with the duplicates option. The
+  // given Tree is left unchanged. Returns the updated Tree.
+  //
+  // - Complexity (Scalability): O(n + m), where n and m are
+  //   the numbers of Nodes in the two Trees.
+  merge(otherTree) {
+    const nodes = [...this.#iterateNodes()]
+    const otherNodes = [...otherTree.#iterateNodes()]
+    const entries = []
+    let i = 0
+    let j = 0
+
+    while (i < nodes.length || j < otherNodes.length) {
+      const isNextNodeOwn = j === otherNodes.length || (i < nodes.length &&
+        this.comparator(nodes[i].key, otherNodes[j].key) <= 0)
+      const node = isNextNodeOwn ? nodes[i++] : otherNodes[j++]
+
+      entries.push([node.key, node.value])
+    }
+
+    return this.#build(entries)
+  }
+
+  // Splits the Tree into two new Trees with the same
+  // options, both perfectly balanced: the first holds the
+  // keys less than the given one, the second holds the
+  // keys greater than or equal to it. The Tree is left
+  // unchanged. Returns an array of the two Trees.
+  //
+  // - Complexity (Scalability): O(n), where n is the number
+  //   of Nodes in the Tree.
+  split(key) {
+    const entries = Array.from(this.#iterateNodes(), (node) => [node.key, node.value])
+    const splitIndex = this.rank(key)
+
+    return [
+      this.#createEmptyCopy().#build(entries.slice(0, splitIndex)),
+      this.#createEmptyCopy().#build(entries.slice(splitIndex)),
+    ]
+  }
+
+  // Throws an error if the Tree is not valid: if a key is
+  // out of order (keys less than or equal to a Node's
+  // must be to its left, greater ones to its right; a
+  // balanced Tree may also have equal ones to the right
+  // after rotations), if a Node's height or subtree size
+  // is incorrect, or, if the Tree is balanced, if a Node
+  // is unbalanced.
+  // Otherwise returns the Tree. Meant to be called by tests
+  // after every operation.
+  //
+  // - Complexity (Scalability): O(n), where n is the number
+  //   of Nodes in the Tree.
+  checkInvariants() {
+    // Every Node is visited along with the ancestors whose
+    // keys bound its key (null if there is no such bound).
+    const stack = this.root ? [[this.root, null, null]] : []
+    const nodes = []
+
+    while (stack.length !== 0) {
+      const [node, lowerBoundNode, upperBoundNode] = stack.pop()
+      const { key, leftBranch, rightBranch } = node
+      const lowerComparison = lowerBoundNode
+        ? this.comparator(key, lowerBoundNode.key)
+        : 1
+      const isAboveLowerBound = this.isBalanced
+        ? lowerComparison >= 0
+        : lowerComparison > 0
+      const isBelowUpperBound = upperBoundNode
+        ? this.comparator(key, upperBoundNode.key) <= 0
+        : true
+
+      if (!isAboveLowerBound || !isBelowUpperBound) {
+        throw new Error(`The Tree is invalid: Node ${formatKey(key)} is out of order.`)
+      }
+
+      nodes.push(node)
+
+      if (leftBranch) {
+        stack.push([leftBranch, lowerBoundNode, node])
+      }
+      if (rightBranch) {
+        stack.push([rightBranch, node, upperBoundNode])
+      }
+    }
+
+    // Nodes are collected so that every Node comes before
+    // its children, thus in reverse heights and sizes can
+    // be checked bottom up.
+    for (const node of nodes.reverse()) {
+      const { key, leftBranch, rightBranch } = node
+
+      if (node.height !== 1 + Math.max(getHeight(leftBranch), getHeight(rightBranch))) {
+        throw new Error(`The Tree is invalid: Node ${formatKey(key)} has an incorrect height ${node.height}.`)
+      }
+      if (node.size !== 1 + getSize(leftBranch) + getSize(rightBranch)) {
+        throw new Error(`The Tree is invalid: Node ${formatKey(key)} has an incorrect size ${node.size}.`)
+      }
+      if (this.isBalanced && Math.abs(getBalanceFactor(node)) > 1) {
+        throw new Error(`The Tree is invalid: Node ${formatKey(key)} is unbalanced.`)
+      }
+    }
+
+    return this
+  }
+
   // Removes all Nodes from the Tree. Returns an empty Tree.
   //
   // - Complexity (Scalability): O(1).
@@ -161,4 +817,131 @@ export default class BinarySearchTree {
     this.root = null
     return this
   }
+
+  // Yields the Nodes of the Tree in sorted (left, Node,
+  // right) order, or in descending order if reverse is
+  // set.
+  //
+  // - Complexity (Scalability): O(n), where n is the number
+  //   of Nodes in the Tree.
+  *#iterateNodes({ reverse = false } = {}) {
+    const [nearBranch, farBranch] = reverse
+      ? ['rightBranch', 'leftBranch']
+      : ['leftBranch', 'rightBranch']
+    const stack = []
+    let traversalNode = this.root
+
+    while (stack.length !== 0 || traversalNode) {
+      // Descend as far as possible to the near side first.
+      if (traversalNode) {
+        stack.push(traversalNode)
+        traversalNode = traversalNode[nearBranch]
+        continue
+      }
+
+      const node = stack.pop()
+      yield node
+      traversalNode = node[farBranch]
+    }
+  }
+
+  // Yields the keys of the Tree in sorted (left, Node,
+  // right) order, or in descending order if reverse is
+  // set.
+  //
+  // - Complexity (Scalability): O(n), where n is the number
+  //   of Nodes in the Tree.
+  *inOrder({ reverse = false } = {}) {
+    for (const node of this.#iterateNodes({ reverse })) {
+      yield node.key
+    }
+  }
+
+  // Yields the keys of the Tree in (Node, left, right)
+  // order.
+  //
+  // - Complexity (Scalability): O(n), where n is the number
+  //   of Nodes in the Tree.
+  *preOrder() {
+    const stack = this.root ? [this.root] : []
+
+    while (stack.length !== 0) {
+      const node = stack.pop()
+      yield node.key
+
+      // Push the right branch first so that the left one is
+      // visited first.
+      if (node.rightBranch) {
+        stack.push(node.rightBranch)
+      }
+      if (node.leftBranch) {
+        stack.push(node.leftBranch)
+      }
+    }
+  }
+
+  // Yields the keys of the Tree in (left, right, Node)
+  // order.
+  //
+  // - Complexity (Scalability): O(n), where n is the number
+  //   of Nodes in the Tree.
+  *postOrder() {
+    const stack = []
+    let traversalNode = this.root
+    let lastVisitedNode = null
+
+    while (stack.length !== 0 || traversalNode) {
+      if (traversalNode) {
+        stack.push(traversalNode)
+        traversalNode = traversalNode.leftBranch
+        continue
+      }
+
+      const node = stack[stack.length - 1]
+
+      // If the right branch has not been visited yet, visit
+      // it before the Node.
+      if (node.rightBranch && node.rightBranch !== lastVisitedNode) {
+        traversalNode = node.rightBranch
+      } else {
+        yield node.key
+        lastVisitedNode = stack.pop()
+      }
+    }
+  }
+
+  // Yields the keys of the Tree level by level, from the
+  // root down, each level from left to right.
+  //
+  // - Note: uses a Breadth-First Search algorithm.
+  //
+  // - Complexity (Scalability): O(n), where n is the number
+  //   of Nodes in the Tree.
+  *levelOrder() {
+    const queue = new Queue()
+
+    if (this.root) {
+      queue.add(this.root)
+    }
+
+    while (!queue.isEmpty()) {
+      const node = queue.remove()
+      yield node.key
+
+      if (node.leftBranch) {
+        queue.add(node.leftBranch)
+      }
+      if (node.rightBranch) {
+        queue.add(node.rightBranch)
+      }
+    }
+  }
+
+  // Yields the keys of the Tree in sorted order.
+  //
+  // - Complexity (Scalability): O(n), where n is the number
+  //   of Nodes in the Tree.
+  [Symbol.iterator]() {
+    return this.inOrder()
+  }
 }
@@ -0,0 +1,191 @@
+// Checks that removing Nodes from a Binary Search Tree
+// keeps it a valid Binary Search Tree that holds the
+// expected keys.
+//
+// Run with: node --test data-structures/
+
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { BinarySearchTree } from '../mod.js'
+
+// Returns a Tree with the given options and the given keys
+// inserted in order.
+function createTree(keys, options) {
+  const tree = new BinarySearchTree(options)
+
+  for (const key of keys) {
+    tree.insert(key)
+  }
+
+  return tree
+}
+
+// Returns a function that yields the same sequence of
+// pseudo-random integers below the given limit on every
+// run.
+function createRandom(seed) {
+  let state = seed
+
+  return (limit) => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0
+    return state % limit
+  }
+}
+
+// Removes the given key from the Tree and from the sorted
+// array of the keys expected to remain, then checks that
+// the Tree is valid and holds exactly the expected keys.
+function removeAndCheck(tree, expectedKeys, key) {
+  const removedNode = tree.remove(key)
+
+  assert.equal(removedNode?.key, key)
+  assert.equal(removedNode.leftBranch, null)
+  assert.equal(removedNode.rightBranch, null)
+
+  expectedKeys.splice(expectedKeys.indexOf(key), 1)
+
+  tree.checkInvariants()
+  assert.deepEqual([...tree], expectedKeys)
+  assert.equal(tree.size, expectedKeys.length)
+}
+
+for (const balanced of [false, true]) {
+  const mode = balanced ? 'balanced' : 'plain'
+
+  //          5
+  //       ┌──┴──┐
+  //       2     7
+  //      ┌┴┐   ┌┴─┐
+  //      1 3   6  12
+  //                └┐
+  //                 13
+  const keys = [5, 2, 7, 1, 3, 6, 12, 13]
+  const sortedKeys = [...keys].sort((a, b) => a - b)
+
+  test(`${mode}: removes a leaf`, () => {
+    const tree = createTree(keys, { balanced })
+    assert.equal(tree.root.leftBranch.leftBranch.key, 1)
+    assert.equal(tree.root.leftBranch.leftBranch.size, 1)
+
+    removeAndCheck(tree, [...sortedKeys], 1)
+  })
+
+  test(`${mode}: removes a Node with one child`, () => {
+    const tree = createTree(keys, { balanced })
+    assert.equal(tree.root.rightBranch.rightBranch.key, 12)
+    assert.equal(tree.root.rightBranch.rightBranch.leftBranch, null)
+
+    removeAndCheck(tree, [...sortedKeys], 12)
+  })
+
+  test(`${mode}: removes a Node with two children`, () => {
+    const tree = createTree(keys, { balanced })
+    assert.equal(tree.root.leftBranch.key, 2)
+
+    removeAndCheck(tree, [...sortedKeys], 2)
+  })
+
+  test(`${mode}: removes the root`, () => {
+    const tree = createTree(keys, { balanced })
+    const expectedKeys = [...sortedKeys]
+
+    while (tree.root) {
+      removeAndCheck(tree, expectedKeys, tree.root.key)
+    }
+
+    assert.deepEqual(expectedKeys, [])
+  })
+
+  test(`${mode}: removes duplicate keys one at a time`, () => {
+    const tree = createTree([5, 3, 5, 8, 5, 5, 3], { balanced })
+    const expectedKeys = [3, 3, 5, 5, 5, 5, 8]
+
+    for (const key of [5, 5, 3, 5, 8, 5, 3]) {
+      removeAndCheck(tree, expectedKeys, key)
+    }
+
+    assert.equal(tree.root, null)
+  })
+
+  test(`${mode}: removes duplicate keys of a Tree built from sorted keys`, () => {
+    const sortedDuplicates = [1, 1, 1, 2, 2, 3, 3, 3, 3]
+    const tree = BinarySearchTree.fromSorted(sortedDuplicates, { balanced })
+    const expectedKeys = [...sortedDuplicates]
+
+    for (const key of [3, 1, 3, 2, 1, 3, 2, 1, 3]) {
+      removeAndCheck(tree, expectedKeys, key)
+    }
+  })
+
+  test(`${mode}: returns null and leaves the Tree unchanged for a missing key`, () => {
+    const tree = createTree(keys, { balanced })
+
+    assert.equal(tree.remove(4), null)
+    tree.checkInvariants()
+    assert.deepEqual([...tree], sortedKeys)
+  })
+
+  test(`${mode}: stays valid through random insertions and removals`, () => {
+    const random = createRandom(balanced ? 2 : 1)
+    const tree = new BinarySearchTree({ balanced })
+    const expectedKeys = []
+
+    for (let i = 0; i < 2000; i++) {
+      const key = random(50)
+
+      if (random(3) !== 0 || expectedKeys.length === 0) {
+        tree.insert(key)
+        expectedKeys.push(key)
+        expectedKeys.sort((a, b) => a - b)
+        tree.checkInvariants()
+      } else {
+        removeAndCheck(tree, expectedKeys, expectedKeys[random(expectedKeys.length)])
+      }
+    }
+  })
+}
+
+test('plain: keeps equal keys to the left', () => {
+  // A key equal to the root's on its right.
+  const tree = createTree([5, 3, 8], { balanced: false })
+  tree.root.rightBranch.key = 5
+
+  assert.throws(() => tree.checkInvariants(), /Node 5 is out of order/)
+  assert.doesNotThrow(() => createTree([5, 3, 5, 8, 5], { balanced: false }).checkInvariants())
+})
+
+for (const balanced of [false, true]) {
+  const mode = balanced ? 'balanced' : 'plain'
+
+  test(`${mode}: builds, merges and splits Trees with long runs of equal keys`, () => {
+    const KEY_COUNT = 20000
+    const keys = Array.from({ length: KEY_COUNT }, (_, i) => i < KEY_COUNT / 2 ? 7 : 7 + i % 3).sort((a, b) => a - b)
+    const tree = BinarySearchTree.fromSorted(keys, { balanced })
+
+    tree.checkInvariants()
+    assert.deepEqual([...tree], keys)
+
+    // A plain Tree chains equal keys to the left, so its
+    // height is the length of the longest run of them.
+    const longestRunLength = keys.filter((key) => key === 7).length
+    assert.equal(tree.root.height, balanced ? Math.ceil(Math.log2(KEY_COUNT + 1)) : longestRunLength)
+
+    const [lessTree, otherTree] = tree.split(8)
+    lessTree.checkInvariants()
+    otherTree.checkInvariants()
+    assert.equal(lessTree.size, tree.rank(8))
+
+    lessTree.merge(otherTree).checkInvariants()
+    assert.deepEqual([...lessTree], keys)
+  })
+}
+
+test('shows object keys in error messages', () => {
+  const comparator = (a, b) => a.id - b.id
+  const tree = new BinarySearchTree({ comparator, duplicates: 'reject' }).insert({ id: 1 })
+
+  assert.throws(() => tree.insert({ id: 1 }), { message: 'The given key {"id":1} cannot be inserted because it already exists.' })
+  assert.throws(() => BinarySearchTree.fromSorted([{ id: 2 }, { id: 1 }], { comparator }), { message: 'The given keys are not sorted: {"id":1} follows {"id":2}.' })
+  assert.throws(() => BinarySearchTree.fromSorted([[1], [1]], { comparator: (a, b) => a[0] - b[0], duplicates: 'reject' }), /The given key \[1\] cannot/)
+})
@@ -0,0 +1,158 @@
+// Disjoint Set
+//
+// A Disjoint Set (aka Union-Find) keeps track of items
+// split into non-overlapping sets. Every set is kept as a
+// tree of items, whose root represents the set: two items
+// are in the same set if they lead to the same root.
+//
+// Finding the root compresses the path to it, pointing
+// every item along the path directly at the root, and of
+// two sets the one with the lower tree (aka rank) is
+// attached to the root of the other. Together these keep
+// the trees so flat that every operation takes nearly
+// O(1) time on average.
+//
+// This implementation provides six operations to do with
+// a Disjoint Set: add, has, find, union, areConnected, and
+// removeAll, and exposes the number of its items and sets.
+// Other implementations are possible.
+//
+//       ┌───────┐             ┌───────┐
+//       │   1   │             │   4   │
+//       └─┬───┬─┘             └───┬───┘
+//     ┌───┘   └───┐               │
+// ┌───┴───┐   ┌───┴───┐       ┌───┴───┐
+// │   2   │   │   3   │       │   5   │
+// └───────┘   └───────┘       └───────┘
+//
+//    Disjoint Set of {1, 2, 3} and {4, 5}
+//
+// Additional resources:
+// - https://en.wikipedia.org/wiki/Disjoint-set_data_structure
+
+
+// Returns true if the given items are the same, as a Map
+// tells its keys apart (aka SameValueZero): unlike with
+// the === operator, NaN is the same as itself.
+function isSameItem(item, otherItem) {
+  return item === otherItem || (item !== item && otherItem !== otherItem)
+}
+
+export default class DisjointSet {
+  constructor() {
+    // Every item is mapped to its parent, a root — to
+    // itself.
+    this.parents = new Map()
+    this.ranks = new Map()
+    this.setCount = 0
+    return this
+  }
+
+  // Returns the number of items in the Disjoint Set.
+  //
+  // - Complexity (Scalability): O(1).
+  get size() {
+    return this.parents.size
+  }
+
+  // Adds the given item to the Disjoint Set as a set of its
+  // own, unless it is there already. Returns the updated
+  // Disjoint Set.
+  //
+  // - Complexity (Scalability): O(1) on average.
+  add(item) {
+    if (!this.parents.has(item)) {
+      this.parents.set(item, item)
+      this.ranks.set(item, 0)
+      this.setCount++
+    }
+
+    return this
+  }
+
+  // Returns true if the Disjoint Set contains the given
+  // item, otherwise returns false.
+  //
+  // - Complexity (Scalability): O(1) on average.
+  has(item) {
+    return this.parents.has(item)
+  }
+
+  // Returns the item that represents the set of the given
+  // item. If the item is not found, throws an error.
+  //
+  // - Complexity (Scalability): O(α(n)) amortized, where α
+  //   is the inverse Ackermann function, which is below 5
+  //   for any practical number of items n.
+  find(item) {
+    if (!this.parents.has(item)) {
+      throw new Error(`Item ${item} is not found.`)
+    }
+
+    let root = item
+
+    while (!isSameItem(this.parents.get(root), root)) {
+      root = this.parents.get(root)
+    }
+
+    // Point every item along the path directly at the root.
+    while (!isSameItem(item, root)) {
+      const parent = this.parents.get(item)
+      this.parents.set(item, root)
+      item = parent
+    }
+
+    return root
+  }
+
+  // Merges the sets of the given items into one. Returns
+  // the updated Disjoint Set. If either item is not found,
+  // throws an error.
+  //
+  // - Complexity (Scalability): O(α(n)) amortized, where α
+  //   is the inverse Ackermann function.
+  union(item, otherItem) {
+    const root = this.find(item)
+    const otherRoot = this.find(otherItem)
+
+    if (isSameItem(root, otherRoot)) {
+      return this
+    }
+
+    const rank = this.ranks.get(root)
+    const otherRank = this.ranks.get(otherRoot)
+
+    if (rank < otherRank) {
+      this.parents.set(root, otherRoot)
+    } else if (rank > otherRank) {
+      this.parents.set(otherRoot, root)
+    } else {
+      this.parents.set(otherRoot, root)
+      this.ranks.set(root, rank + 1)
+    }
+
+    this.setCount--
+    return this
+  }
+
+  // Returns true if the given items are in the same set,
+  // otherwise returns false. If either item is not found,
+  // throws an error.
+  //
+  // - Complexity (Scalability): O(α(n)) amortized, where α
+  //   is the inverse Ackermann function.
+  areConnected(item, otherItem) {
+    return isSameItem(this.find(item), this.find(otherItem))
+  }
+
+  // Removes all items from the Disjoint Set. Returns an
+  // empty Disjoint Set.
+  //
+  // - Complexity (Scalability): O(1).
+  removeAll() {
+    this.parents = new Map()
+    this.ranks = new Map()
+    this.setCount = 0
+    return this
+  }
+}
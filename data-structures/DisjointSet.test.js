@@ -0,0 +1,116 @@
+// Checks that a Disjoint Set merges and tells apart sets of
+// items the same way as relabeling every item would.
+//
+// Run with: node --test data-structures/
+
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { DisjointSet } from '../mod.js'
+
+// Returns a function that yields the same sequence of
+// pseudo-random integers below the given limit on every
+// run.
+function createRandom(seed) {
+  let state = seed
+
+  return (limit) => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0
+    return state % limit
+  }
+}
+
+test('adds items as sets of their own', () => {
+  const disjointSet = new DisjointSet()
+
+  assert.equal(disjointSet.add('a').add('b').add('a'), disjointSet)
+  assert.equal(disjointSet.size, 2)
+  assert.equal(disjointSet.setCount, 2)
+  assert.ok(disjointSet.has('a'))
+  assert.ok(!disjointSet.has('c'))
+  assert.equal(disjointSet.find('a'), 'a')
+  assert.equal(disjointSet.areConnected('a', 'b'), false)
+})
+
+test('merges sets', () => {
+  const disjointSet = new DisjointSet()
+
+  for (const item of [1, 2, 3, 4, 5]) {
+    disjointSet.add(item)
+  }
+
+  assert.equal(disjointSet.union(1, 2), disjointSet)
+  disjointSet.union(3, 1).union(4, 5).union(2, 3)
+
+  assert.equal(disjointSet.setCount, 2)
+  assert.ok(disjointSet.areConnected(3, 2))
+  assert.ok(disjointSet.areConnected(5, 4))
+  assert.ok(!disjointSet.areConnected(1, 5))
+  assert.equal(disjointSet.find(1), disjointSet.find(3))
+})
+
+test('throws for a missing item', () => {
+  const disjointSet = new DisjointSet().add(1)
+
+  assert.throws(() => disjointSet.find(2), /Item 2 is not found/)
+  assert.throws(() => disjointSet.union(1, 2), /Item 2 is not found/)
+  assert.throws(() => disjointSet.areConnected(2, 1), /Item 2 is not found/)
+})
+
+test('treats NaN as the same item, as a Map does', () => {
+  const disjointSet = new DisjointSet().add(NaN).add(NaN).add(0).add(-0).add(1)
+
+  assert.equal(disjointSet.size, 3)
+  assert.ok(Number.isNaN(disjointSet.find(NaN)))
+  assert.ok(disjointSet.areConnected(NaN, NaN))
+
+  disjointSet.union(NaN, NaN)
+  assert.equal(disjointSet.setCount, 3)
+
+  disjointSet.union(1, NaN).union(-0, 1)
+  assert.equal(disjointSet.setCount, 1)
+  assert.ok(disjointSet.areConnected(NaN, 0))
+})
+
+test('removes all items', () => {
+  const disjointSet = new DisjointSet().add(1).add(2).union(1, 2)
+
+  assert.equal(disjointSet.removeAll(), disjointSet)
+  assert.equal(disjointSet.size, 0)
+  assert.equal(disjointSet.setCount, 0)
+  assert.ok(!disjointSet.has(1))
+})
+
+test('stays consistent through random unions', () => {
+  const random = createRandom(1)
+  const ITEM_COUNT = 200
+  const disjointSet = new DisjointSet()
+  // Every item is labeled with its set, and all items of a
+  // set are relabeled when it is merged into another.
+  const labels = Array.from({ length: ITEM_COUNT }, (_, i) => i)
+
+  for (let i = 0; i < ITEM_COUNT; i++) {
+    disjointSet.add(i)
+  }
+
+  for (let i = 0; i < 300; i++) {
+    const item = random(ITEM_COUNT)
+    const otherItem = random(ITEM_COUNT)
+    const [label, otherLabel] = [labels[item], labels[otherItem]]
+
+    disjointSet.union(item, otherItem)
+
+    for (let j = 0; j < ITEM_COUNT; j++) {
+      if (labels[j] === otherLabel) {
+        labels[j] = label
+      }
+    }
+
+    assert.equal(disjointSet.setCount, new Set(labels).size)
+
+    for (let j = 0; j < 20; j++) {
+      const [a, b] = [random(ITEM_COUNT), random(ITEM_COUNT)]
+      assert.equal(disjointSet.areConnected(a, b), labels[a] === labels[b])
+    }
+  }
+})
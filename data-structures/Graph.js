@@ -3,10 +3,37 @@
 // A Graph is a collection of Nodes that may be in 
 // connected to one other in various ways.
 // 
-// This implementation provides eight operations to do 
-// with a Graph: addVertex, addEdge, get, hasPathDFS, 
-// hasPathBFS, removeVertex, removeEdge, removeAll. Other 
-// implementations are possible.
+// This implementation provides seventeen operations to 
+// do with a Graph: addVertex, addEdge, get, hasPathDFS, 
+// hasPathBFS, shortestPath, findCycle, topologicalSort, 
+// connectedComponents, isConnected, bridges, 
+// articulationPoints, stronglyConnectedComponents, 
+// minimumSpanningTree, removeVertex, removeEdge, 
+// removeAll. Other implementations are possible.
+// 
+// Every Edge has a weight (aka cost), which is 1 unless 
+// given otherwise, and may be negative.
+// 
+// The Graph is directed unless constructed with the 
+// directed option unset. An undirected Edge is kept as 
+// two halves, one among the adjacent Edges of each of its 
+// Nodes, which are added and removed together.
+// 
+// The Nodes are kept in a Map by their values, and the 
+// adjacent Edges of every Node in a Map by the Nodes they 
+// lead to, so Nodes and Edges are looked up in O(1) time 
+// on average, and traversals take O(n + e) time. Adding a 
+// Node with a value that already exists is either ignored 
+// (by default) or throws an error, as set with the 
+// duplicateVertices option. Adding an Edge parallel to an 
+// existing one either adds it (by default), throws an 
+// error, or replaces the weight of the existing one, as 
+// set with the parallelEdges option.
+// 
+// When constructed with the acyclic option set, the Graph 
+// is kept acyclic (a directed acyclic Graph, aka DAG, or 
+// a forest if undirected): an Edge that would create a 
+// cycle is rejected.
 // 
 // ┌───────┐      ┌───────┐      ┌───────┐
 // │   0   │ ───▶ │   1   │ ◀─── │   2   │
@@ -20,42 +47,144 @@
 // Additional resources:
 // - https://github.com/jamiebuilds/itsy-bitsy-data-structures/
 // - https://en.wikipedia.org/wiki/Graph_(abstract_data_type)
+// - https://en.wikipedia.org/wiki/Dijkstra%27s_algorithm
+// - https://en.wikipedia.org/wiki/Bellman%E2%80%93Ford_algorithm
+// - https://en.wikipedia.org/wiki/Topological_sorting
+// - https://en.wikipedia.org/wiki/Bridge_(graph_theory)
+// - https://en.wikipedia.org/wiki/Biconnected_component
+// - https://en.wikipedia.org/wiki/Tarjan%27s_strongly_connected_components_algorithm
+// - https://en.wikipedia.org/wiki/Kruskal%27s_algorithm
+// - https://en.wikipedia.org/wiki/Prim%27s_algorithm
 
 
-import { Queue } from '../mod.js'
+import { Queue, BinaryMinHeap, DisjointSet } from '../mod.js'
 
 class Node {
   constructor(value) {
     this.value = value
-    this.adjacent = []
+    // Outgoing Edges of the Node, grouped in arrays by the 
+    // Nodes they lead to.
+    this.adjacent = new Map()
+  }
+
+  // Yields the outgoing Edges of the Node.
+  // 
+  // - Complexity (Scalability): O(d), where d is the number 
+  //   of outgoing Edges of the Node.
+  *getEdges() {
+    for (const edges of this.adjacent.values()) {
+      yield* edges
+    }
+  }
+
+  // Adds the given Edge to the outgoing Edges of the Node.
+  // 
+  // - Complexity (Scalability): O(1) on average.
+  addEdge(edge) {
+    const edges = this.adjacent.get(edge.destination)
+
+    if (edges) {
+      edges.push(edge)
+    } else {
+      this.adjacent.set(edge.destination, [edge])
+    }
+  }
+
+  // Removes an outgoing Edge that leads to the given Node, 
+  // of the given weight if one is given. Returns the 
+  // removed Edge if such is found, otherwise null.
+  // 
+  // - Complexity (Scalability): O(p), where p is the number 
+  //   of parallel Edges that lead to the given Node.
+  removeEdge(destinationNode, weight) {
+    const edges = this.adjacent.get(destinationNode)
+    const edgeIndex = edges
+      ? edges.findIndex((edge) => weight === undefined || edge.weight === weight)
+      : -1
+
+    if (edgeIndex === -1) {
+      return null
+    }
+
+    const [removedEdge] = edges.splice(edgeIndex, 1)
+
+    if (edges.length === 0) {
+      this.adjacent.delete(destinationNode)
+    }
+
+    return removedEdge
   }
 }
 
-// This impements a directed acyclic Graph.
+class Edge {
+  constructor(destination, weight) {
+    this.destination = destination
+    this.weight = weight
+  }
+}
+
+const DUPLICATE_VERTICES_POLICIES = ['ignore', 'reject']
+const PARALLEL_EDGES_POLICIES = ['allow', 'reject', 'replace']
+const MINIMUM_SPANNING_TREE_ALGORITHMS = ['kruskal', 'prim']
+
+// This implements a directed or an undirected Graph.
 export default class Graph {
-  constructor() {
-    this.nodes = []
+  constructor({
+    directed = true,
+    acyclic = false,
+    duplicateVertices = 'ignore',
+    parallelEdges = 'allow',
+  } = {}) {
+    if (!DUPLICATE_VERTICES_POLICIES.includes(duplicateVertices)) {
+      throw new Error(`Duplicate vertices policy ${duplicateVertices} is not supported. Provide one of: ${DUPLICATE_VERTICES_POLICIES.join(', ')}.`)
+    }
+    if (!PARALLEL_EDGES_POLICIES.includes(parallelEdges)) {
+      throw new Error(`Parallel edges policy ${parallelEdges} is not supported. Provide one of: ${PARALLEL_EDGES_POLICIES.join(', ')}.`)
+    }
+
+    this.nodes = new Map()
+    this.isDirected = directed
+    this.isAcyclic = acyclic
+    this.duplicateVertices = duplicateVertices
+    this.parallelEdges = parallelEdges
     return this
   }
 
   // Creates a new Node (aka Vertex) that contains the given 
   // value and adds it to the Graph. Returns the updated 
-  // Graph.
+  // Graph. If a Node with the given value already exists, 
+  // depending on the duplicateVertices option, leaves the 
+  // Graph unchanged or throws an error.
   // 
   // - Complexity (Scalability): O(1) on average.
   addVertex(value) {
-    const node = new Node(value)
-    this.nodes.push(node)
+    if (this.nodes.has(value)) {
+      if (this.duplicateVertices === 'reject') {
+        throw new Error(`The Node ${value} cannot be added because it already exists.`)
+      }
+      return this
+    }
+
+    this.nodes.set(value, new Node(value))
 
     return this
   }
 
-  // Adds destination Node (aka Vertex) to the list of 
-  // adjacent Nodes of the source Node.
+  // Adds an Edge of the given weight (1 by default) that 
+  // leads to the destination Node (aka Vertex) to the 
+  // adjacent Edges of the source Node, and, if the Graph is 
+  // undirected, an Edge that leads back to the adjacent 
+  // Edges of the destination Node. If there already is such 
+  // Edge, depending on the parallelEdges option, adds 
+  // another one, throws an error, or replaces its weight. 
+  // Returns the updated Graph. If the Graph is acyclic and 
+  // the Edge would create a cycle, throws an error that 
+  // names the cycle.
   // 
-  // - Complexity (Scalability): O(n), where n is the number 
-  //   of Nodes in the Graph.
-  addEdge(source, destination) {
+  // - Complexity (Scalability): O(1) on average, or 
+  //   O(n + e), where n is the number of Nodes and e is the 
+  //   number of Edges in the Graph, if the Graph is acyclic.
+  addEdge(source, destination, weight = 1) {
     const sourceNode = this.get(source)
     const destinationNode = this.get(destination)
 
@@ -64,8 +193,48 @@ export default class Graph {
     } else if (!destinationNode) {
       throw new Error('Destination Node is not found.')
     }
+    if (typeof weight !== 'number' || Number.isNaN(weight)) {
+      throw new Error(`Weight ${weight} is not a number.`)
+    }
+
+    const existingEdges = sourceNode.adjacent.get(destinationNode)
+
+    if (existingEdges && this.parallelEdges === 'reject') {
+      throw new Error(`The Edge from ${source} to ${destination} cannot be added because it already exists.`)
+    }
+    if (existingEdges && this.parallelEdges === 'replace') {
+      const reverseEdges = this.isDirected
+        ? []
+        : destinationNode.adjacent.get(sourceNode)
 
-    sourceNode.adjacent.push(destinationNode)
+      for (const edge of [...existingEdges, ...reverseEdges]) {
+        edge.weight = weight
+      }
+      return this
+    }
+
+    // The Edge closes a cycle if there already is a path 
+    // back from the destination Node to the source Node.
+    if (this.isAcyclic) {
+      const [costs, previousNodes] = this.#findPathsBFS(destinationNode, sourceNode)
+
+      if (costs.has(sourceNode)) {
+        const cycle = []
+
+        for (let node = sourceNode; node; node = previousNodes.get(node)) {
+          cycle.push(node.value)
+        }
+        cycle.push(source)
+
+        throw new Error(`The Edge from ${source} to ${destination} cannot be added because it would create a cycle: ${cycle.reverse().join(' → ')}.`)
+      }
+    }
+
+    sourceNode.addEdge(new Edge(destinationNode, weight))
+
+    if (!this.isDirected && sourceNode !== destinationNode) {
+      destinationNode.addEdge(new Edge(sourceNode, weight))
+    }
     
     return this
   }
@@ -73,10 +242,9 @@ export default class Graph {
   // Returns the Node (aka Vertex) that contains the sought 
   // value if such is found, otherwise null.
   // 
-  // - Complexity (Scalability): O(n), where n is the number 
-  //   of Nodes in the Graph.
+  // - Complexity (Scalability): O(1) on average.
   get(value) {
-    const soughtNode = this.nodes.find((node) => node.value === value)
+    const soughtNode = this.nodes.get(value)
     return soughtNode ? soughtNode : null
   }
 
@@ -86,12 +254,14 @@ export default class Graph {
   // 
   // - Note: uses a Depth-First Search algorithm.
   // 
-  // - Complexity (Scalability): O(n), where n is the number
-  //   of Nodes in the Graph.
+  // - Complexity (Scalability): O(n + e), where n is the 
+  //   number of Nodes and e is the number of Edges in the 
+  //   Graph.
   hasPathDFS(source, destination) {
     const sourceNode = this.get(source)
     const destinationNode = this.get(destination)
-    const visitedNodes = []
+    const stack = [sourceNode]
+    const visitedNodes = new Set([sourceNode])
 
     if (!sourceNode) {
       throw new Error('Source Node is not found.')
@@ -99,32 +269,20 @@ export default class Graph {
     if (!destinationNode) {
       throw new Error('Destination Node is not found.')
     }
-    
-    return this.#hasPathDFS(sourceNode, destinationNode, visitedNodes)
-  }
 
-  // An auxiliary method to hasPathDFS. Returns true if 
-  // there is a path between the Node (aka Vertex) with the 
-  // given source value and the Node with the given 
-  // destination value. Otherwise returns false.
-  // 
-  // - Complexity (Scalability): O(n), where n is the number
-  //   of Nodes in the Graph.
-  #hasPathDFS(sourceNode, destinationNode, visitedNodes) {
-    if (visitedNodes.includes(sourceNode.value)) {
-      return false
-    }
-
-    visitedNodes.push(sourceNode.value)
-    
-    if (sourceNode.value === destinationNode.value) {
-      return true
-    }
+    while (stack.length !== 0) {
+      const currentNode = stack.pop()
 
-    for (const child of sourceNode.adjacent) {
-      if (this.#hasPathDFS(child, destinationNode, visitedNodes)) {
+      if (currentNode === destinationNode) {
         return true
       }
+
+      for (const adjacentNode of currentNode.adjacent.keys()) {
+        if (!visitedNodes.has(adjacentNode)) {
+          visitedNodes.add(adjacentNode)
+          stack.push(adjacentNode)
+        }
+      }
     }
 
     return false
@@ -136,13 +294,14 @@ export default class Graph {
   // 
   // - Note: uses a Breadth-First Search algorithm.
   // 
-  // - Complexity (Scalability): O(n), where n is the number
-  //   of Nodes in the Graph.
+  // - Complexity (Scalability): O(n + e), where n is the 
+  //   number of Nodes and e is the number of Edges in the 
+  //   Graph.
   hasPathBFS(source, destination) {
     const sourceNode = this.get(source)
     const destinationNode = this.get(destination)
     const queue = new Queue()
-    const visitedNodes = []
+    const visitedNodes = new Set([sourceNode])
 
     if (!sourceNode) {
       throw new Error('Source Node is not found.')
@@ -156,21 +315,736 @@ export default class Graph {
     while (!queue.isEmpty()) {
       const currentNode = queue.remove()
 
-      if (currentNode.value === destinationNode.value) {
+      if (currentNode === destinationNode) {
         return true
       }
 
-      if (visitedNodes.includes(currentNode.value)) {
+      for (const adjacentNode of currentNode.adjacent.keys()) {
+        if (!visitedNodes.has(adjacentNode)) {
+          visitedNodes.add(adjacentNode)
+          queue.add(adjacentNode)
+        }
+      }
+    }
+
+    return false
+  }
+
+  // Returns the cheapest path between the Node (aka 
+  // Vertex) with the given source value and the Node with 
+  // the given destination value as an object with the 
+  // values of the Nodes along the path, and the total 
+  // weight (aka cost) of its Edges. If there is no path, 
+  // returns null. If a cycle of a negative total weight 
+  // is reachable from the source Node, the cheapest path 
+  // is undefined and an error is thrown.
+  // 
+  // - Note: uses a Breadth-First Search algorithm if all 
+  //   Edges weigh 1, Dijkstra's algorithm if no Edge has 
+  //   a negative weight, otherwise the Bellman-Ford 
+  //   algorithm.
+  // 
+  // - Complexity (Scalability): O(n + e), O((n + e) * 
+  //   log(n)) and O(n * e) respectively, where n is the 
+  //   number of Nodes and e is the number of Edges in the 
+  //   Graph.
+  shortestPath(source, destination) {
+    const sourceNode = this.get(source)
+    const destinationNode = this.get(destination)
+
+    if (!sourceNode) {
+      throw new Error('Source Node is not found.')
+    }
+    if (!destinationNode) {
+      throw new Error('Destination Node is not found.')
+    }
+
+    const edges = Array.from(this.nodes.values(), (node) => [...node.getEdges()]).flat()
+    let costs
+    let previousNodes
+
+    if (edges.every((edge) => edge.weight === 1)) {
+      [costs, previousNodes] = this.#findPathsBFS(sourceNode, destinationNode)
+    } else if (edges.every((edge) => edge.weight >= 0)) {
+      [costs, previousNodes] = this.#findPathsDijkstra(sourceNode, destinationNode)
+    } else {
+      [costs, previousNodes] = this.#findPathsBellmanFord(sourceNode)
+    }
+
+    if (!costs.has(destinationNode)) {
+      return null
+    }
+
+    const path = []
+
+    for (let node = destinationNode; node; node = previousNodes.get(node)) {
+      path.push(node.value)
+    }
+
+    return { path: path.reverse(), cost: costs.get(destinationNode) }
+  }
+
+  // An auxiliary method to shortestPath. Returns the costs 
+  // of the cheapest paths from the given source Node to 
+  // the Nodes reached before the destination Node 
+  // (inclusive), and the Nodes that precede them on such 
+  // paths, given that every Edge weighs 1.
+  // 
+  // - Complexity (Scalability): O(n + e), where n is the 
+  //   number of Nodes and e is the number of Edges in the 
+  //   Graph.
+  #findPathsBFS(sourceNode, destinationNode) {
+    const costs = new Map([[sourceNode, 0]])
+    const previousNodes = new Map()
+    const queue = new Queue()
+
+    queue.add(sourceNode)
+
+    while (!queue.isEmpty()) {
+      const currentNode = queue.remove()
+
+      if (currentNode === destinationNode) {
+        break
+      }
+
+      for (const adjacentNode of currentNode.adjacent.keys()) {
+        if (costs.has(adjacentNode)) {
+          continue
+        }
+        costs.set(adjacentNode, costs.get(currentNode) + 1)
+        previousNodes.set(adjacentNode, currentNode)
+        queue.add(adjacentNode)
+      }
+    }
+
+    return [costs, previousNodes]
+  }
+
+  // An auxiliary method to shortestPath. Returns the costs 
+  // of the cheapest paths from the given source Node to 
+  // the Nodes reached before the destination Node 
+  // (inclusive), and the Nodes that precede them on such 
+  // paths, given that no Edge has a negative weight.
+  // 
+  // - Complexity (Scalability): O((n + e) * log(n)), where 
+  //   n is the number of Nodes and e is the number of Edges 
+  //   in the Graph.
+  #findPathsDijkstra(sourceNode, destinationNode) {
+    const costs = new Map([[sourceNode, 0]])
+    const previousNodes = new Map()
+    const visitedNodes = new Set()
+    // The Heap holds [cost, Node] pairs. Instead of being 
+    // updated, a Node is added again once a cheaper path to 
+    // it is found, and its outdated pairs are skipped.
+    const heap = new BinaryMinHeap(([cost], [otherCost]) => cost - otherCost)
+
+    heap.insert([0, sourceNode])
+
+    while (heap.peek() !== null) {
+      const [cost, currentNode] = heap.extractMin()
+
+      if (visitedNodes.has(currentNode)) {
         continue
       }
-      visitedNodes.push(currentNode.value)
+      visitedNodes.add(currentNode)
 
-      for (const child of currentNode.adjacent) {
-        queue.add(child)
+      if (currentNode === destinationNode) {
+        break
+      }
+
+      for (const { destination, weight } of currentNode.getEdges()) {
+        const newCost = cost + weight
+
+        if (!costs.has(destination) || newCost < costs.get(destination)) {
+          costs.set(destination, newCost)
+          previousNodes.set(destination, currentNode)
+          heap.insert([newCost, destination])
+        }
       }
     }
 
-    return false
+    return [costs, previousNodes]
+  }
+
+  // An auxiliary method to shortestPath. Returns the costs 
+  // of the cheapest paths from the given source Node to 
+  // every reachable Node, and the Nodes that precede them 
+  // on such paths. If a cycle of a negative total weight 
+  // is reachable from the source Node, throws an error.
+  // 
+  // - Complexity (Scalability): O(n * e), where n is the 
+  //   number of Nodes and e is the number of Edges in the 
+  //   Graph.
+  #findPathsBellmanFord(sourceNode) {
+    const costs = new Map([[sourceNode, 0]])
+    const previousNodes = new Map()
+
+    // Relaxes every Edge that leads out of a reached Node. 
+    // Returns true if any cost has decreased.
+    const relaxEdges = () => {
+      let hasDecreased = false
+
+      for (const node of this.nodes.values()) {
+        if (!costs.has(node)) {
+          continue
+        }
+
+        for (const { destination, weight } of node.getEdges()) {
+          const newCost = costs.get(node) + weight
+
+          if (!costs.has(destination) || newCost < costs.get(destination)) {
+            costs.set(destination, newCost)
+            previousNodes.set(destination, node)
+            hasDecreased = true
+          }
+        }
+      }
+
+      return hasDecreased
+    }
+
+    // A cheapest path has at most n - 1 Edges, so after n - 1 
+    // rounds the costs may only decrease further along a 
+    // negative cycle.
+    for (let i = 0; i < this.nodes.size - 1; i++) {
+      if (!relaxEdges()) {
+        return [costs, previousNodes]
+      }
+    }
+
+    if (relaxEdges()) {
+      throw new Error('The Graph contains a negative cycle reachable from the source Node.')
+    }
+
+    return [costs, previousNodes]
+  }
+
+  // Returns the values of the Nodes (aka Vertices) along a 
+  // cycle of the Graph, starting and ending with the same 
+  // value, if the Graph has a cycle. Otherwise returns 
+  // null. The Nodes are searched in the order they were 
+  // added. In an undirected Graph, going back along the 
+  // same Edge does not make a cycle.
+  // 
+  // - Note: uses a Depth-First Search algorithm.
+  // 
+  // - Complexity (Scalability): O(n + e), where n is the 
+  //   number of Nodes and e is the number of Edges in the 
+  //   Graph.
+  findCycle() {
+    // Nodes that are on the current path are marked as 
+    // visiting, and Nodes whose descendants are all 
+    // visited are marked as visited. An Edge that leads to 
+    // a visiting Node closes a cycle.
+    const states = new Map()
+
+    for (const startNode of this.nodes.values()) {
+      if (states.has(startNode)) {
+        continue
+      }
+
+      // Each item is a Node along with an iterator over its 
+      // Edges left to follow, its parent Node, and whether 
+      // the Edge back to the parent has been skipped.
+      const stack = [[startNode, startNode.getEdges(), null, false]]
+      states.set(startNode, 'visiting')
+
+      while (stack.length !== 0) {
+        const item = stack[stack.length - 1]
+        const [node, edges, parentNode, hasSkippedParentEdge] = item
+        const { value: edge, done } = edges.next()
+
+        if (done) {
+          states.set(node, 'visited')
+          stack.pop()
+          continue
+        }
+
+        const { destination } = edge
+
+        // Skip the other half of the Edge that led to the 
+        // Node, but not the parallel Edges.
+        if (!this.isDirected && destination === parentNode && !hasSkippedParentEdge) {
+          item[3] = true
+          continue
+        }
+
+        if (states.get(destination) === 'visiting') {
+          const cycleStartIndex = stack.findIndex(([stackNode]) => stackNode === destination)
+          const cycle = stack.slice(cycleStartIndex).map(([stackNode]) => stackNode.value)
+
+          return [...cycle, destination.value]
+        }
+
+        if (!states.has(destination)) {
+          states.set(destination, 'visiting')
+          stack.push([destination, destination.getEdges(), node, false])
+        }
+      }
+    }
+
+    return null
+  }
+
+  // Returns the values of the Nodes (aka Vertices) sorted 
+  // so that every Edge leads from a Node to a later one. Of 
+  // the Nodes that may come next, the earliest added comes 
+  // first, so the order is deterministic. If the Graph has 
+  // a cycle or is undirected, throws an error.
+  // 
+  // - Note: uses Kahn's algorithm.
+  // 
+  // - Complexity (Scalability): O(n * log(n) + e), where n 
+  //   is the number of Nodes and e is the number of Edges in 
+  //   the Graph.
+  topologicalSort() {
+    if (!this.isDirected) {
+      throw new Error('The Graph cannot be sorted topologically because it is undirected.')
+    }
+
+    const nodes = [...this.nodes.values()]
+    const indexes = new Map(nodes.map((node, index) => [node, index]))
+    const inDegrees = new Map(nodes.map((node) => [node, 0]))
+
+    for (const node of nodes) {
+      for (const { destination } of node.getEdges()) {
+        inDegrees.set(destination, inDegrees.get(destination) + 1)
+      }
+    }
+
+    // The Heap holds the Nodes that have no incoming Edges 
+    // from the Nodes not sorted yet.
+    const heap = new BinaryMinHeap((node, otherNode) => indexes.get(node) - indexes.get(otherNode))
+    const sortedValues = []
+
+    for (const node of nodes) {
+      if (inDegrees.get(node) === 0) {
+        heap.insert(node)
+      }
+    }
+
+    while (heap.peek() !== null) {
+      const node = heap.extractMin()
+      sortedValues.push(node.value)
+
+      for (const { destination } of node.getEdges()) {
+        inDegrees.set(destination, inDegrees.get(destination) - 1)
+
+        if (inDegrees.get(destination) === 0) {
+          heap.insert(destination)
+        }
+      }
+    }
+
+    if (sortedValues.length !== nodes.length) {
+      throw new Error(`The Graph cannot be sorted topologically because it contains a cycle: ${this.findCycle().join(' → ')}.`)
+    }
+
+    return sortedValues
+  }
+
+  // Returns the connected components of the Graph: arrays 
+  // of the values of the Nodes (aka Vertices) connected to 
+  // each other, in the order the Nodes were added. In a 
+  // directed Graph, the directions of the Edges are ignored 
+  // (aka weakly connected components).
+  // 
+  // - Complexity (Scalability): O(n + e), where n is the 
+  //   number of Nodes and e is the number of Edges in the 
+  //   Graph.
+  connectedComponents() {
+    // In a directed Graph, the Nodes are connected to the 
+    // Nodes of their incoming Edges too.
+    const incomingNodes = new Map(Array.from(this.nodes.values(), (node) => [node, []]))
+
+    if (this.isDirected) {
+      for (const node of this.nodes.values()) {
+        for (const adjacentNode of node.adjacent.keys()) {
+          incomingNodes.get(adjacentNode).push(node)
+        }
+      }
+    }
+
+    const componentIndexes = new Map()
+    let componentCount = 0
+
+    for (const startNode of this.nodes.values()) {
+      if (componentIndexes.has(startNode)) {
+        continue
+      }
+
+      const stack = [startNode]
+      componentIndexes.set(startNode, componentCount)
+
+      while (stack.length !== 0) {
+        const node = stack.pop()
+        const adjacentNodes = [
+          ...node.adjacent.keys(),
+          ...incomingNodes.get(node),
+        ]
+
+        for (const adjacentNode of adjacentNodes) {
+          if (!componentIndexes.has(adjacentNode)) {
+            componentIndexes.set(adjacentNode, componentCount)
+            stack.push(adjacentNode)
+          }
+        }
+      }
+
+      componentCount++
+    }
+
+    const components = Array.from({ length: componentCount }, () => [])
+
+    for (const node of this.nodes.values()) {
+      components[componentIndexes.get(node)].push(node.value)
+    }
+
+    return components
+  }
+
+  // Returns true if every Node (aka Vertex) of the Graph is 
+  // connected to every other, otherwise returns false. In a 
+  // directed Graph, the directions of the Edges are ignored 
+  // (aka weak connectivity).
+  // 
+  // - Complexity (Scalability): O(n + e), where n is the 
+  //   number of Nodes and e is the number of Edges in the 
+  //   Graph.
+  isConnected() {
+    return this.connectedComponents().length <= 1
+  }
+
+  // Returns the bridges of an undirected Graph: the Edges 
+  // whose removal disconnects their Nodes (aka Vertices), 
+  // as [value, value] pairs. If the Graph is directed, 
+  // throws an error.
+  // 
+  // - Complexity (Scalability): O(n + e), where n is the 
+  //   number of Nodes and e is the number of Edges in the 
+  //   Graph.
+  bridges() {
+    return this.#findCutElements().bridges
+  }
+
+  // Returns the values of the articulation points (aka cut 
+  // vertices) of an undirected Graph: the Nodes (aka 
+  // Vertices) whose removal disconnects the rest of their 
+  // connected component, in the order the Nodes were added. 
+  // If the Graph is directed, throws an error.
+  // 
+  // - Complexity (Scalability): O(n + e), where n is the 
+  //   number of Nodes and e is the number of Edges in the 
+  //   Graph.
+  articulationPoints() {
+    const { articulationNodes } = this.#findCutElements()
+    return [...this.nodes.values()]
+      .filter((node) => articulationNodes.has(node))
+      .map((node) => node.value)
+  }
+
+  // An auxiliary method to bridges and articulationPoints. 
+  // Returns the bridges as [value, value] pairs and the set 
+  // of articulation Nodes of an undirected Graph.
+  // 
+  // - Note: uses Tarjan's algorithm. Every Node gets the 
+  //   time it is discovered by a Depth-First Search, and the 
+  //   earliest time reachable from its subtree without going 
+  //   back along the Edge that led to it (aka low-link). A 
+  //   child whose low-link is later than the discovery time 
+  //   of its parent can only be reached through their Edge.
+  // 
+  // - Complexity (Scalability): O(n + e), where n is the 
+  //   number of Nodes and e is the number of Edges in the 
+  //   Graph.
+  #findCutElements() {
+    if (this.isDirected) {
+      throw new Error('Bridges and articulation points are only supported in undirected Graphs.')
+    }
+
+    const discoveryTimes = new Map()
+    const lowLinks = new Map()
+    const bridges = []
+    const articulationNodes = new Set()
+    let time = 0
+
+    const discover = (node) => {
+      discoveryTimes.set(node, time)
+      lowLinks.set(node, time)
+      time++
+    }
+
+    for (const rootNode of this.nodes.values()) {
+      if (discoveryTimes.has(rootNode)) {
+        continue
+      }
+
+      // Each item is a Node along with an iterator over its 
+      // Edges left to follow, its parent Node, and whether 
+      // the Edge back to the parent has been skipped.
+      const stack = [[rootNode, rootNode.getEdges(), null, false]]
+      let rootChildCount = 0
+      discover(rootNode)
+
+      while (stack.length !== 0) {
+        const item = stack[stack.length - 1]
+        const [node, edges, parentNode, hasSkippedParentEdge] = item
+        const { value: edge, done } = edges.next()
+
+        if (done) {
+          stack.pop()
+
+          if (parentNode) {
+            lowLinks.set(parentNode, Math.min(lowLinks.get(parentNode), lowLinks.get(node)))
+
+            if (lowLinks.get(node) > discoveryTimes.get(parentNode)) {
+              bridges.push([parentNode.value, node.value])
+            }
+            // The root is an articulation point only if it has 
+            // several children, which is checked separately.
+            if (parentNode !== rootNode && lowLinks.get(node) >= discoveryTimes.get(parentNode)) {
+              articulationNodes.add(parentNode)
+            }
+          }
+          continue
+        }
+
+        const { destination } = edge
+
+        // Skip the other half of the Edge that led to the 
+        // Node, but not the parallel Edges.
+        if (destination === parentNode && !hasSkippedParentEdge) {
+          item[3] = true
+          continue
+        }
+
+        if (discoveryTimes.has(destination)) {
+          lowLinks.set(node, Math.min(lowLinks.get(node), discoveryTimes.get(destination)))
+        } else {
+          discover(destination)
+          stack.push([destination, destination.getEdges(), node, false])
+
+          if (node === rootNode) {
+            rootChildCount++
+          }
+        }
+      }
+
+      if (rootChildCount > 1) {
+        articulationNodes.add(rootNode)
+      }
+    }
+
+    return { bridges, articulationNodes }
+  }
+
+  // Returns the strongly connected components of the Graph: 
+  // arrays of the values of the Nodes (aka Vertices) that 
+  // are reachable from each other, in reverse topological 
+  // order (a component comes after the components its 
+  // Edges lead to). In an undirected Graph, these are the 
+  // connected components.
+  // 
+  // - Note: uses Tarjan's algorithm.
+  // 
+  // - Complexity (Scalability): O(n + e), where n is the 
+  //   number of Nodes and e is the number of Edges in the 
+  //   Graph.
+  stronglyConnectedComponents() {
+    const discoveryTimes = new Map()
+    const lowLinks = new Map()
+    // The Nodes discovered, but not assigned to a component 
+    // yet.
+    const pendingNodes = []
+    const pendingNodeSet = new Set()
+    const components = []
+    let time = 0
+
+    const discover = (node) => {
+      discoveryTimes.set(node, time)
+      lowLinks.set(node, time)
+      time++
+      pendingNodes.push(node)
+      pendingNodeSet.add(node)
+    }
+
+    for (const rootNode of this.nodes.values()) {
+      if (discoveryTimes.has(rootNode)) {
+        continue
+      }
+
+      // Each item is a Node along with an iterator over the 
+      // Nodes its Edges lead to, left to follow.
+      const stack = [[rootNode, rootNode.adjacent.keys()]]
+      discover(rootNode)
+
+      while (stack.length !== 0) {
+        const [node, adjacentNodes] = stack[stack.length - 1]
+        const { value: destination, done } = adjacentNodes.next()
+
+        if (!done) {
+          if (!discoveryTimes.has(destination)) {
+            discover(destination)
+            stack.push([destination, destination.adjacent.keys()])
+          } else if (pendingNodeSet.has(destination)) {
+            lowLinks.set(node, Math.min(lowLinks.get(node), discoveryTimes.get(destination)))
+          }
+          continue
+        }
+
+        stack.pop()
+
+        if (stack.length !== 0) {
+          const [parentNode] = stack[stack.length - 1]
+          lowLinks.set(parentNode, Math.min(lowLinks.get(parentNode), lowLinks.get(node)))
+        }
+
+        // The Node is the root of a component, which consists 
+        // of the Nodes pending since its discovery.
+        if (lowLinks.get(node) === discoveryTimes.get(node)) {
+          const component = pendingNodes.splice(pendingNodes.lastIndexOf(node))
+
+          for (const componentNode of component) {
+            pendingNodeSet.delete(componentNode)
+          }
+          components.push(component.map((componentNode) => componentNode.value))
+        }
+      }
+    }
+
+    return components
+  }
+
+  // Returns a minimum spanning tree of an undirected Graph 
+  // as an object with a new undirected Graph, which has all 
+  // the Nodes (aka Vertices) of the Graph and the cheapest 
+  // set of its Edges that connects them, and the total 
+  // weight of such Edges. If the Graph is not connected, 
+  // the tree spans each of its connected components (aka 
+  // minimum spanning forest). If the Graph is directed, 
+  // throws an error.
+  // 
+  // - Note: uses Kruskal's algorithm by default, or Prim's 
+  //   algorithm if the algorithm option is set to 'prim'.
+  // 
+  // - Complexity (Scalability): O(n + e * log(e)), where n 
+  //   is the number of Nodes and e is the number of Edges in 
+  //   the Graph.
+  minimumSpanningTree({ algorithm = 'kruskal' } = {}) {
+    if (this.isDirected) {
+      throw new Error('A minimum spanning tree is only supported in undirected Graphs.')
+    }
+    if (!MINIMUM_SPANNING_TREE_ALGORITHMS.includes(algorithm)) {
+      throw new Error(`Algorithm ${algorithm} is not supported. Provide one of: ${MINIMUM_SPANNING_TREE_ALGORITHMS.join(', ')}.`)
+    }
+
+    const treeEdges = algorithm === 'kruskal'
+      ? this.#findTreeEdgesKruskal()
+      : this.#findTreeEdgesPrim()
+    const tree = new Graph({ directed: false })
+    let weight = 0
+
+    for (const node of this.nodes.values()) {
+      tree.addVertex(node.value)
+    }
+
+    for (const [sourceNode, { destination, weight: edgeWeight }] of treeEdges) {
+      tree.addEdge(sourceNode.value, destination.value, edgeWeight)
+      weight += edgeWeight
+    }
+
+    return { graph: tree, weight }
+  }
+
+  // An auxiliary method to minimumSpanningTree. Returns the 
+  // Edges of a minimum spanning tree as [source Node, Edge] 
+  // pairs. Goes through the Edges from the cheapest one, 
+  // taking every Edge that connects two trees not connected 
+  // yet.
+  // 
+  // - Complexity (Scalability): O(n + e * log(e)), where n 
+  //   is the number of Nodes and e is the number of Edges in 
+  //   the Graph.
+  #findTreeEdgesKruskal() {
+    const indexes = new Map()
+    const disjointSet = new DisjointSet()
+    const edges = []
+
+    for (const node of this.nodes.values()) {
+      indexes.set(node, indexes.size)
+      disjointSet.add(node)
+    }
+
+    // Take every undirected Edge once, by its half that 
+    // leads to a later added Node. Loops are never taken.
+    for (const node of this.nodes.values()) {
+      for (const edge of node.getEdges()) {
+        if (indexes.get(node) < indexes.get(edge.destination)) {
+          edges.push([node, edge])
+        }
+      }
+    }
+
+    edges.sort(([, edge], [, otherEdge]) => edge.weight - otherEdge.weight)
+
+    const treeEdges = []
+
+    for (const [sourceNode, edge] of edges) {
+      if (!disjointSet.areConnected(sourceNode, edge.destination)) {
+        disjointSet.union(sourceNode, edge.destination)
+        treeEdges.push([sourceNode, edge])
+      }
+    }
+
+    return treeEdges
+  }
+
+  // An auxiliary method to minimumSpanningTree. Returns the 
+  // Edges of a minimum spanning tree as [source Node, Edge] 
+  // pairs. Grows the tree from a Node, taking the cheapest 
+  // Edge that leads out of the tree every time, and starts 
+  // a new one from the next Node not reached yet.
+  // 
+  // - Complexity (Scalability): O(n + e * log(e)), where n 
+  //   is the number of Nodes and e is the number of Edges in 
+  //   the Graph.
+  #findTreeEdgesPrim() {
+    const reachedNodes = new Set()
+    const treeEdges = []
+    // The Heap holds [source Node, Edge] pairs that lead out 
+    // of the tree at the time they are added.
+    const heap = new BinaryMinHeap(([, edge], [, otherEdge]) => edge.weight - otherEdge.weight)
+
+    const reach = (node) => {
+      reachedNodes.add(node)
+
+      for (const edge of node.getEdges()) {
+        if (!reachedNodes.has(edge.destination)) {
+          heap.insert([node, edge])
+        }
+      }
+    }
+
+    for (const startNode of this.nodes.values()) {
+      if (reachedNodes.has(startNode)) {
+        continue
+      }
+
+      reach(startNode)
+
+      while (heap.peek() !== null) {
+        const [sourceNode, edge] = heap.extractMin()
+
+        if (reachedNodes.has(edge.destination)) {
+          continue
+        }
+
+        treeEdges.push([sourceNode, edge])
+        reach(edge.destination)
+      }
+    }
+
+    return treeEdges
   }
 
   // Removes the Node (aka Vertex) that contains the sought 
@@ -178,56 +1052,62 @@ export default class Graph {
   // Returns the removed Node if such is found, otherwise 
   // returns null.
   // 
-  // - Complexity (Scalability): O(e), where e is the number 
-  //   of Edges in the Graph.
+  // - Complexity (Scalability): O(n) on average, where n 
+  //   is the number of Nodes in the Graph, or O(d), where d 
+  //   is the number of Edges of the Node, if the Graph is 
+  //   undirected.
   removeVertex(value) {
-    const soughtNode = this.get(value)
-    const soughtNodeIndex = this.nodes.indexOf(soughtNode)
+    const removedNode = this.get(value)
 
-    if (soughtNodeIndex === -1) { 
+    if (!removedNode) { 
       return null 
     }
     
-    const removedNodeCopy = {...this.nodes[soughtNodeIndex]}
-    const removedNode = this.nodes.splice(soughtNodeIndex, 1)
+    this.nodes.delete(value)
+
+    // Search for any incoming edges (including parallel 
+    // ones), remove if found. In an undirected Graph, these 
+    // are the other halves of the Node's own Edges.
+    const sourceNodes = this.isDirected
+      ? this.nodes.values()
+      : removedNode.adjacent.keys()
 
-    // Search for any incoming edges, remove if found.
-    for (const node of this.nodes) {
-      this.removeEdge(node.value, removedNodeCopy.value)
+    for (const node of sourceNodes) {
+      node.adjacent.delete(removedNode)
     }
 
     return removedNode
   }
 
-  // Within the list of adjacent Nodes (aka Vertices) of the 
-  // source Node finds the Node with the value equal to the 
-  // given value of the destination Node, and removes such 
-  // Node. Returns the Graph if the Node is found, otherwise 
-  // returns null.
+  // Within the adjacent Edges of the source Node (aka 
+  // Vertex) finds the Edge that leads to the Node with 
+  // the value equal to the given value of the destination 
+  // Node, and removes such Edge, along with its other half 
+  // if the Graph is undirected. Returns the Graph if the 
+  // Edge is found, otherwise returns null.
   // 
-  // - Complexity (Scalability): O(n), where n is the number 
-  //   of Nodes in the Graph.
+  // - Complexity (Scalability): O(1) on average.
   removeEdge(source, destination) {
     const sourceNode = this.get(source)
+    const destinationNode = this.get(destination)
 
     if (!sourceNode) {
       throw new Error('Source Node is not found.')
     }
 
-    // Within the source node, find the Node with value equal 
-    // to destination value.
-    const adjacentNodes = sourceNode.adjacent
+    const removedEdge = destinationNode
+      ? sourceNode.removeEdge(destinationNode)
+      : null
 
-    for (const currentNode of adjacentNodes) {
-      if (currentNode.value === destination) {
-        const currentNodeIndex = adjacentNodes.indexOf(destination)
-        adjacentNodes.splice(currentNodeIndex, 1)
+    if (!removedEdge) {
+      return null
+    }
 
-        return this
-      }
+    if (!this.isDirected && destinationNode !== sourceNode) {
+      destinationNode.removeEdge(sourceNode, removedEdge.weight)
     }
 
-    return null
+    return this
   }
 
   // Removes all Nodes (aka Vertices) and Edges from the 
@@ -235,7 +1115,7 @@ export default class Graph {
   // 
   // - Complexity (Scalability): O(1).
   removeAll() {
-    this.nodes = []
+    this.nodes = new Map()
     return this
   }
 }
\ No newline at end of file
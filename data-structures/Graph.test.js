@@ -0,0 +1,395 @@
+// Checks the traversals and the path, connectivity and
+// spanning tree algorithms of a Graph.
+//
+// Run with: node --test data-structures/
+
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { performance } from 'node:perf_hooks'
+import { Graph } from '../mod.js'
+
+// Returns a function that yields the same sequence of
+// pseudo-random integers below the given limit on every
+// run.
+function createRandom(seed) {
+  let state = seed
+
+  return (limit) => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0
+    return state % limit
+  }
+}
+
+// Returns a Graph with the given options, the Nodes of the
+// values from 0 to the given count (exclusive) and the
+// given [source, destination, weight] Edges.
+function createGraph(nodeCount, edges, options) {
+  const graph = new Graph(options)
+
+  for (let i = 0; i < nodeCount; i++) {
+    graph.addVertex(i)
+  }
+
+  for (const [source, destination, weight] of edges) {
+    graph.addEdge(source, destination, weight)
+  }
+
+  return graph
+}
+
+// Returns random [source, destination, weight] Edges
+// between the Nodes of the values from 0 to the given
+// count (exclusive), with weights returned by the given
+// function. If isAcyclic is set, every Edge leads to a
+// Node of a greater value.
+function createRandomEdges(random, nodeCount, edgeCount, getWeight, isAcyclic = false) {
+  return Array.from({ length: edgeCount }, () => {
+    let source = random(nodeCount)
+    let destination = random(nodeCount)
+
+    if (isAcyclic) {
+      while (source === destination) {
+        destination = random(nodeCount)
+      }
+      [source, destination] = [Math.min(source, destination), Math.max(source, destination)]
+    }
+
+    return [source, destination, getWeight()]
+  })
+}
+
+// Returns the costs of the cheapest paths between every
+// two Nodes, as a matrix indexed by their values.
+//
+// - Note: uses the Floyd-Warshall algorithm.
+function findCheapestCosts(nodeCount, edges, isDirected) {
+  const costs = Array.from({ length: nodeCount }, (_, i) => Array.from({ length: nodeCount }, (_, j) => i === j ? 0 : Infinity))
+
+  for (const [source, destination, weight] of edges) {
+    costs[source][destination] = Math.min(costs[source][destination], weight)
+
+    if (!isDirected) {
+      costs[destination][source] = Math.min(costs[destination][source], weight)
+    }
+  }
+
+  for (let k = 0; k < nodeCount; k++) {
+    for (let i = 0; i < nodeCount; i++) {
+      for (let j = 0; j < nodeCount; j++) {
+        costs[i][j] = Math.min(costs[i][j], costs[i][k] + costs[k][j])
+      }
+    }
+  }
+
+  return costs
+}
+
+// Checks that the path between every two Nodes of the
+// Graph is a path along its Edges, and the cheapest one.
+function assertCheapestPaths(graph, nodeCount, edges) {
+  const costs = findCheapestCosts(nodeCount, edges, graph.isDirected)
+
+  for (let source = 0; source < nodeCount; source++) {
+    for (let destination = 0; destination < nodeCount; destination++) {
+      const result = graph.shortestPath(source, destination)
+
+      if (costs[source][destination] === Infinity) {
+        assert.equal(result, null)
+        continue
+      }
+
+      const { path, cost } = result
+      let pathCost = 0
+
+      for (let i = 1; i < path.length; i++) {
+        const edgeWeights = [...graph.get(path[i - 1]).getEdges()]
+          .filter((edge) => edge.destination.value === path[i])
+          .map((edge) => edge.weight)
+
+        assert.ok(edgeWeights.length !== 0)
+        pathCost += Math.min(...edgeWeights)
+      }
+
+      assert.equal(path[0], source)
+      assert.equal(path[path.length - 1], destination)
+      assert.equal(cost, costs[source][destination])
+      assert.equal(pathCost, cost)
+    }
+  }
+}
+
+// Calls the given function and returns its result along
+// with the number of milliseconds it took.
+function measure(callback) {
+  const start = performance.now()
+  const result = callback()
+
+  return [result, Math.round(performance.now() - start)]
+}
+
+// Traversals that look Nodes up in O(n) time take minutes
+// on a Graph of this size, rather than well under a second.
+test('traverses a large Graph in linear time', { timeout: 20000 }, (t) => {
+  const NODE_COUNT = 50000
+  const random = createRandom(1)
+
+  const [graph, buildTime] = measure(() => {
+    const graph = new Graph()
+
+    // The last Node has no Edges, so that searching for it
+    // visits all others.
+    for (let i = 0; i <= NODE_COUNT; i++) {
+      graph.addVertex(i)
+    }
+
+    // A path through all Nodes, and as many Edges between
+    // random ones.
+    for (let i = 0; i < NODE_COUNT - 1; i++) {
+      graph.addEdge(i, i + 1)
+      graph.addEdge(random(NODE_COUNT), random(NODE_COUNT))
+    }
+
+    return graph
+  })
+  const [hasPathBFS, bfsTime] = measure(() => graph.hasPathBFS(0, NODE_COUNT))
+  const [hasPathDFS, dfsTime] = measure(() => graph.hasPathDFS(0, NODE_COUNT))
+  const [shortestPath, shortestPathTime] = measure(() => graph.shortestPath(0, NODE_COUNT - 1))
+  const [components, componentsTime] = measure(() => graph.connectedComponents())
+  const [strongComponents, strongComponentsTime] = measure(() => graph.stronglyConnectedComponents())
+
+  t.diagnostic(`${NODE_COUNT + 1} Nodes, ${2 * (NODE_COUNT - 1)} Edges: building ${buildTime} ms, hasPathBFS ${bfsTime} ms, hasPathDFS ${dfsTime} ms, shortestPath ${shortestPathTime} ms, connectedComponents ${componentsTime} ms, stronglyConnectedComponents ${strongComponentsTime} ms`)
+
+  assert.equal(hasPathBFS, false)
+  assert.equal(hasPathDFS, false)
+  assert.equal(graph.hasPathBFS(0, NODE_COUNT - 1), true)
+  assert.equal(graph.hasPathDFS(0, NODE_COUNT - 1), true)
+  assert.equal(shortestPath.cost, shortestPath.path.length - 1)
+  assert.ok(shortestPath.cost < NODE_COUNT / 100)
+  assert.equal(components.length, 2)
+  assert.equal(strongComponents.flat().length, NODE_COUNT + 1)
+})
+
+test('ignores or rejects a duplicate vertex', () => {
+  const graph = new Graph().addVertex(1).addEdge(1, 1)
+
+  assert.equal(graph.addVertex(1), graph)
+  assert.equal(graph.nodes.size, 1)
+  assert.equal(graph.get(1).adjacent.size, 1)
+
+  assert.throws(() => new Graph({ duplicateVertices: 'reject' }).addVertex(1).addVertex(1), /already exists/)
+})
+
+test('finds the shortest path with a Breadth-First Search if all Edges weigh 1', () => {
+  const graph = createGraph(5, [[0, 1], [1, 2], [2, 3], [0, 3], [3, 4]])
+
+  assert.deepEqual(graph.shortestPath(0, 4), { path: [0, 3, 4], cost: 2 })
+  assert.deepEqual(graph.shortestPath(2, 2), { path: [2], cost: 0 })
+  assert.equal(graph.shortestPath(4, 0), null)
+
+  const random = createRandom(2)
+
+  for (let i = 0; i < 30; i++) {
+    const edges = createRandomEdges(random, 7, 10, () => 1)
+
+    assertCheapestPaths(createGraph(7, edges), 7, edges)
+    assertCheapestPaths(createGraph(7, edges, { directed: false }), 7, edges)
+  }
+})
+
+test('finds the cheapest path with Dijkstra\'s algorithm if no Edge is negative', () => {
+  const graph = createGraph(4, [[0, 1, 1], [1, 2, 1], [0, 2, 5], [2, 3, 0], [0, 3, 3]])
+
+  assert.deepEqual(graph.shortestPath(0, 3), { path: [0, 1, 2, 3], cost: 2 })
+
+  const random = createRandom(3)
+
+  for (let i = 0; i < 30; i++) {
+    const edges = createRandomEdges(random, 7, 14, () => random(10))
+
+    assertCheapestPaths(createGraph(7, edges), 7, edges)
+    assertCheapestPaths(createGraph(7, edges, { directed: false }), 7, edges)
+  }
+})
+
+test('finds the cheapest path with the Bellman-Ford algorithm if an Edge is negative', () => {
+  const graph = createGraph(4, [[0, 1, 4], [0, 2, 2], [2, 1, -3], [1, 3, 1]])
+
+  assert.deepEqual(graph.shortestPath(0, 3), { path: [0, 2, 1, 3], cost: 0 })
+
+  const random = createRandom(4)
+
+  for (let i = 0; i < 30; i++) {
+    const edges = createRandomEdges(random, 7, 14, () => random(15) - 5, true)
+
+    assertCheapestPaths(createGraph(7, edges), 7, edges)
+  }
+})
+
+test('throws if a negative cycle is reachable from the source Node', () => {
+  const graph = createGraph(5, [[0, 1, 1], [1, 2, -2], [2, 1, 1], [2, 3, 1], [4, 0, 1]])
+
+  assert.throws(() => graph.shortestPath(0, 3), /negative cycle/)
+  assert.throws(() => graph.shortestPath(1, 4), /negative cycle/)
+  assert.deepEqual(graph.shortestPath(3, 3), { path: [3], cost: 0 })
+
+  // An undirected negative Edge makes a negative cycle of
+  // its two halves.
+  assert.throws(() => createGraph(2, [[0, 1, -1]], { directed: false }).shortestPath(0, 1), /negative cycle/)
+})
+
+// Returns the given pairs of values, each sorted, in
+// sorted order.
+function sortPairs(pairs) {
+  return pairs.map((pair) => [...pair].sort((a, b) => a - b)).sort((a, b) => a[0] - b[0] || a[1] - b[1])
+}
+
+test('finds bridges and articulation points', () => {
+  //  0 ── 1 ══ 2 ── 3    5
+  //   ╲  ╱          │
+  //    4            6
+  const graph = createGraph(7, [[0, 1], [1, 4], [4, 0], [1, 2], [1, 2], [2, 3], [3, 6]], { directed: false })
+
+  // Parallel Edges between 1 and 2 are not bridges.
+  assert.deepEqual(sortPairs(graph.bridges()), [[2, 3], [3, 6]])
+  assert.deepEqual(graph.articulationPoints(), [1, 2, 3])
+
+  graph.removeEdge(1, 2)
+  assert.deepEqual(sortPairs(graph.bridges()), [[1, 2], [2, 3], [3, 6]])
+
+  // A self-loop neither makes nor breaks a bridge.
+  graph.addEdge(6, 6)
+  assert.deepEqual(sortPairs(graph.bridges()), [[1, 2], [2, 3], [3, 6]])
+
+  assert.throws(() => new Graph().bridges(), /only supported in undirected Graphs/)
+  assert.throws(() => new Graph().articulationPoints(), /only supported in undirected Graphs/)
+})
+
+test('finds the same bridges and articulation points as removing each Edge and Node', () => {
+  const random = createRandom(5)
+  const NODE_COUNT = 8
+
+  for (let i = 0; i < 100; i++) {
+    const edges = createRandomEdges(random, NODE_COUNT, random(12), () => 1)
+    const graph = createGraph(NODE_COUNT, edges, { directed: false })
+    const componentCount = graph.connectedComponents().length
+
+    const expectedBridges = edges
+      .filter(([source, destination], edgeIndex) => {
+        const otherEdges = edges.filter((_, j) => j !== edgeIndex)
+        return !createGraph(NODE_COUNT, otherEdges, { directed: false }).hasPathBFS(source, destination)
+      })
+      .map(([source, destination]) => [source, destination])
+    const expectedArticulationPoints = Array.from({ length: NODE_COUNT }, (_, i) => i).filter((value) => {
+      const graphWithoutNode = createGraph(NODE_COUNT, edges, { directed: false })
+      graphWithoutNode.removeVertex(value)
+      return graphWithoutNode.connectedComponents().length > componentCount
+    })
+
+    assert.deepEqual(sortPairs(graph.bridges()), sortPairs(expectedBridges))
+    assert.deepEqual(graph.articulationPoints(), expectedArticulationPoints)
+  }
+})
+
+test('finds strongly connected components in reverse topological order', () => {
+  const graph = createGraph(6, [[0, 1], [1, 2], [2, 0], [2, 3], [3, 4], [4, 3], [5, 5]])
+
+  assert.deepEqual(graph.stronglyConnectedComponents().map((component) => component.sort()), [[3, 4], [0, 1, 2], [5]])
+
+  const random = createRandom(6)
+  const NODE_COUNT = 9
+
+  for (let i = 0; i < 100; i++) {
+    const edges = createRandomEdges(random, NODE_COUNT, random(16), () => 1)
+    const graph = createGraph(NODE_COUNT, edges)
+    const components = graph.stronglyConnectedComponents()
+    const componentIndexes = new Map(components.flatMap((component, index) => component.map((value) => [value, index])))
+
+    assert.equal(componentIndexes.size, NODE_COUNT)
+
+    for (let source = 0; source < NODE_COUNT; source++) {
+      for (let destination = 0; destination < NODE_COUNT; destination++) {
+        const areStronglyConnected = graph.hasPathBFS(source, destination) && graph.hasPathBFS(destination, source)
+        assert.equal(componentIndexes.get(source) === componentIndexes.get(destination), areStronglyConnected)
+      }
+    }
+
+    // Edges lead to the same or an earlier component.
+    for (const [source, destination] of edges) {
+      assert.ok(componentIndexes.get(source) >= componentIndexes.get(destination))
+    }
+  }
+})
+
+test('finds connected components, ignoring the directions of Edges', () => {
+  const graph = createGraph(6, [[0, 1], [2, 1], [3, 4]])
+
+  assert.deepEqual(graph.connectedComponents(), [[0, 1, 2], [3, 4], [5]])
+  assert.equal(graph.isConnected(), false)
+
+  graph.addEdge(5, 3).addEdge(4, 2)
+  assert.deepEqual(graph.connectedComponents(), [[0, 1, 2, 3, 4, 5]])
+  assert.equal(graph.isConnected(), true)
+})
+
+// Returns the least total weight of a spanning forest of
+// the given Edges, by trying every subset of them: a
+// subset that connects the same Nodes as all of them with
+// one Edge less than there are Nodes in every component.
+function findMinimumSpanningWeight(nodeCount, edges) {
+  const componentCount = createGraph(nodeCount, edges, { directed: false }).connectedComponents().length
+  let minimumWeight = Infinity
+
+  for (let subset = 0; subset < 2 ** edges.length; subset++) {
+    const subsetEdges = edges.filter((_, i) => subset & (1 << i))
+    const subsetGraph = createGraph(nodeCount, subsetEdges, { directed: false })
+
+    if (subsetEdges.length === nodeCount - componentCount &&
+        subsetGraph.connectedComponents().length === componentCount) {
+      minimumWeight = Math.min(minimumWeight, subsetEdges.reduce((weight, edge) => weight + edge[2], 0))
+    }
+  }
+
+  return minimumWeight
+}
+
+test('finds a minimum spanning tree with Kruskal\'s and Prim\'s algorithms', () => {
+  //     1      2
+  //  0 ─── 1 ─── 2
+  //  │  ╲4     ╱ 3
+  // 5│    ╲  ╱
+  //  3 ─── 4     5
+  //     6
+  const graph = createGraph(6, [[0, 1, 1], [1, 2, 2], [0, 4, 4], [2, 4, 3], [0, 3, 5], [3, 4, 6]], { directed: false })
+
+  for (const algorithm of ['kruskal', 'prim']) {
+    const { graph: tree, weight } = graph.minimumSpanningTree({ algorithm })
+
+    assert.equal(weight, 11)
+    assert.equal(tree.isDirected, false)
+    assert.deepEqual(tree.connectedComponents(), [[0, 1, 2, 3, 4], [5]])
+    assert.equal(tree.findCycle(), null)
+  }
+
+  assert.throws(() => new Graph().minimumSpanningTree(), /only supported in undirected Graphs/)
+  assert.throws(() => graph.minimumSpanningTree({ algorithm: 'boruvka' }), /not supported/)
+})
+
+test('finds minimum spanning trees of the same weight as trying every set of Edges', () => {
+  const random = createRandom(7)
+  const NODE_COUNT = 6
+
+  for (let i = 0; i < 40; i++) {
+    const edges = createRandomEdges(random, NODE_COUNT, random(10), () => random(11) - 3)
+    const graph = createGraph(NODE_COUNT, edges, { directed: false })
+    const expectedWeight = findMinimumSpanningWeight(NODE_COUNT, edges)
+
+    for (const algorithm of ['kruskal', 'prim']) {
+      const { graph: tree, weight } = graph.minimumSpanningTree({ algorithm })
+
+      assert.equal(weight, expectedWeight)
+      assert.deepEqual(tree.connectedComponents(), graph.connectedComponents())
+      assert.equal(tree.findCycle(), null)
+    }
+  }
+})
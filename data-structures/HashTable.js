@@ -10,13 +10,59 @@
 // then placed sequentially within a given bucket. 
 // This can degrade the performance of operations.
 // 
+// By default, hash codes are calculated with the FNV-1a 
+// algorithm followed by MurmurHash3 bit mixing, which 
+// spreads similar keys far apart. Keys of any type are 
+// supported: objects are hashed by identity, or, if they 
+// provide hashCode() and equals() methods, by these.
+// 
 // The advantage of a Hash Table is that, given a good 
 // hashing algorithm, insertion, deletion, and lookup of 
 // elements on average takes constant time.
 // 
-// This implementation provides four operations to do with 
-// a Hash Table: set, get, remove, removeAll. Other 
-// implementations are possible.
+// This implementation provides six operations to do with 
+// a Hash Table: set, get, has, delete, remove, removeAll, 
+// and exposes its size. Other implementations are 
+// possible.
+// 
+// The Hash Table is iterable, and provides the keys, 
+// values, entries and forEach methods, as well as the 
+// HashTable.from factory. Iteration is fail-fast: if the 
+// Hash Table is modified (an item is added or removed) 
+// while being iterated, the iteration throws an error.
+// 
+// By default the Hash Table stores bare values. When 
+// constructed with the mode option set to 'map', it 
+// stores key/value pairs instead: set(key, value) 
+// overwrites the value of an existing key, and get(key) 
+// returns the value stored under the given key. With the 
+// mode option set to 'set', it stores unique values: 
+// set(value) skips a value that is already stored.
+// 
+// The Hash Table also provides set algebra: union, 
+// intersection, difference, symmetricDifference, 
+// isSubsetOf and isDisjointFrom. Each operation compares 
+// keys (values outside the map mode) and returns a new 
+// Hash Table configured the same way as the given one.
+// 
+// As the number of stored items grows relative to the 
+// capacity (the load factor), buckets get longer and 
+// operations slow down. Once the load factor exceeds 
+// maxLoadFactor, the Hash Table doubles its capacity and 
+// rehashes all items into the new buckets. If 
+// minLoadFactor is provided, the Hash Table also halves 
+// its capacity (but never below the initial one) once 
+// the load factor falls under it.
+// 
+// Two storage strategies are available. With 'chaining' 
+// (the default), every bucket is an array of collided 
+// entries. With 'open-addressing', every bucket holds a 
+// single entry, and a collided entry is placed into the 
+// next free bucket (linear probing). Removed entries 
+// leave tombstones behind so that lookups keep probing 
+// past them; tombstones are cleared by rehashing once 
+// they, together with stored entries, exceed the max 
+// load factor.
 // 
 //     Hash Function               Hash Table
 //     ‾‾‾‾‾‾‾‾‾‾‾‾‾               ‾‾‾‾‾‾‾‾‾‾‾
@@ -37,121 +83,608 @@
 // - https://www.youtube.com/watch?v=nvzVHwrrub0
 
 
-import getUnicodeRepresentation from './utilities/getUnicodeRepresentation.js'
-import sumDigits from './utilities/sumDigits.js'
+import calculateHashCode from './utilities/calculateHashCode.js'
+
+const MODES = ['values', 'map', 'set']
+const STRATEGIES = ['chaining', 'open-addressing']
+
+// Marks a bucket whose entry has been removed in the 
+// open-addressing strategy.
+const TOMBSTONE = Symbol('tombstone')
 
 export default class HashTable {
-  constructor(capacity = 128, customHashFunction = null) {
+  #size = 0
+  #initialCapacity
+  #maxLoadFactor
+  #minLoadFactor
+  #tombstones = 0
+  #modificationCount = 0
+
+  constructor(capacity = 128, customHashFunction = null, {
+    mode = 'values',
+    strategy = 'chaining',
+    maxLoadFactor = 0.75,
+    minLoadFactor = 0,
+  } = {}) {
+    if (!(Number.isInteger(capacity) && capacity > 0)) {
+      throw new Error(`Capacity ${capacity} is not supported. Provide a positive integer.`)
+    }
+    if (!MODES.includes(mode)) {
+      throw new Error(`Mode ${mode} is not supported. Provide one of: ${MODES.join(', ')}.`)
+    }
+    if (!STRATEGIES.includes(strategy)) {
+      throw new Error(`Strategy ${strategy} is not supported. Provide one of: ${STRATEGIES.join(', ')}.`)
+    }
+    if (!(maxLoadFactor > 0)) {
+      throw new Error(`Max load factor ${maxLoadFactor} is not supported. Provide a positive number.`)
+    }
+    if (strategy === 'open-addressing' && !(maxLoadFactor < 1)) {
+      throw new Error(`Max load factor ${maxLoadFactor} is not supported by the open-addressing strategy. Provide a number less than 1.`)
+    }
+    if (!(minLoadFactor >= 0 && minLoadFactor < maxLoadFactor / 2)) {
+      throw new Error(`Min load factor ${minLoadFactor} is not supported. Provide a non-negative number less than half of the max load factor.`)
+    }
+
     this.hashTable = Array(capacity)
-    this.capacity = capacity
     this.customHashFunction = customHashFunction
+    this.mode = mode
+    this.strategy = strategy
+    this.#initialCapacity = capacity
+    this.#maxLoadFactor = maxLoadFactor
+    this.#minLoadFactor = minLoadFactor
     return this
   }
 
-  // Calculates a hash code by adding all digits of the 
-  // given value or of the Unicode representation of the 
-  // value in case that value is of type String. Returns 
-  // the generated hash code.
+  // Creates a new Hash Table with the given capacity, 
+  // custom hash function and options, and sets all items 
+  // of the given iterable to it. In the map mode, the 
+  // items are expected to be [key, value] pairs. Returns 
+  // the created Hash Table.
   // 
-  // - Complexity (Scalability): O(1).
-  #simpleHashFunction(value) {
-    if (typeof value !== 'number' && typeof value !== 'string') {
-      throw new Error(`Type ${typeof value} of value ${value} is not supported. Provide value of type Number or String.`)
+  // - Complexity (Scalability): O(n), where n is the number 
+  //   of items in the given iterable.
+  static from(iterable, capacity, customHashFunction, options) {
+    const hashTable = new HashTable(capacity, customHashFunction, options)
+
+    for (const item of iterable) {
+      if (hashTable.mode === 'map') {
+        const [key, value] = item
+        hashTable.set(key, value)
+      } else {
+        hashTable.set(item)
+      }
     }
 
-    let hashCode = 0
-    
-    if (typeof value === 'number') {
-      hashCode = sumDigits(value)
-    } else if (typeof value === 'string') {
-      const unicodeRepresentation = getUnicodeRepresentation(value)
-      hashCode = sumDigits(Number(unicodeRepresentation))
+    return hashTable
+  }
+
+  // Returns the number of buckets in the Hash Table.
+  // 
+  // - Complexity (Scalability): O(1).
+  get capacity() {
+    return this.hashTable.length
+  }
+
+  // Returns the ratio of the number of stored items to the 
+  // number of buckets in the Hash Table.
+  // 
+  // - Complexity (Scalability): O(1).
+  get loadFactor() {
+    return this.#size / this.capacity
+  }
+
+  // Returns the number of items (or key/value pairs in 
+  // the map mode) stored in the Hash Table.
+  // 
+  // - Complexity (Scalability): O(1).
+  get size() {
+    return this.#size
+  }
+
+  // Returns true if the given keys are equal, otherwise 
+  // false. Keys that provide an equals() method are 
+  // compared with it, the rest are compared the way a Map 
+  // compares its keys (NaN is equal to NaN).
+  // 
+  // - Complexity (Scalability): O(1).
+  #areKeysEqual(key, otherKey) {
+    if (key !== null && typeof key === 'object' &&
+        typeof key.equals === 'function') {
+      return key.equals(otherKey)
     }
 
-    return hashCode
+    return key === otherKey || (key !== key && otherKey !== otherKey)
   }
 
   // Calculates a bucket index that is derived from the hash 
-  // code and the capacity of the Hash Table.
+  // code and the capacity of the Hash Table. A custom hash 
+  // function may return a negative or fractional number, 
+  // so the hash code is first turned into a non-negative 
+  // 32-bit integer, which keeps the index within bounds.
   // 
   // - Complexity (Scalability): O(1).
   #calculateBucketIndex(value) {
     const hashCode = this.customHashFunction 
       ? this.customHashFunction(value) 
-      : this.#simpleHashFunction(value)
-    const bucketIndex = hashCode % this.capacity
+      : calculateHashCode(value)
+    const bucketIndex = (hashCode >>> 0) % this.capacity
 
     return bucketIndex
   }
 
-  // Sets a backet at a calculated index to a given value. 
-  // Handles collisions if occur. Returns an updated Hash 
-  // Table.
+  // Returns the key under which the given bucket entry is 
+  // stored. In the map mode entries are [key, value] 
+  // pairs, otherwise an entry is a key in itself.
+  // 
+  // - Complexity (Scalability): O(1).
+  #getKeyOf(entry) {
+    return this.mode === 'map' ? entry[0] : entry
+  }
+
+  // Returns the location (an array containing the bucket 
+  // index and the index within a bucket) of the entry 
+  // stored under the given key if such is found, 
+  // otherwise null. In the open-addressing strategy every 
+  // bucket holds a single entry, thus the index within a 
+  // bucket is always 0.
+  // 
+  // - Complexity (Scalability): O(1) on average.
+  #locate(key) {
+    let bucketIndex = this.#calculateBucketIndex(key)
+
+    if (this.strategy === 'open-addressing') {
+      // Probe until an empty bucket is reached, skipping 
+      // over tombstones.
+      while (bucketIndex in this.hashTable) {
+        const entry = this.hashTable[bucketIndex]
+
+        if (entry !== TOMBSTONE &&
+            this.#areKeysEqual(key, this.#getKeyOf(entry))) {
+          return [bucketIndex, 0]
+        }
+
+        bucketIndex = (bucketIndex + 1) % this.capacity
+      }
+
+      return null
+    }
+
+    const bucket = this.hashTable[bucketIndex]
+
+    // If the bucket is empty
+    if (bucket === undefined) {
+      return null
+    }
+
+    const indexWithinABucket = bucket.findIndex((entry) => this.#areKeysEqual(key, this.#getKeyOf(entry)))
+
+    // If the key is not found within a bucket
+    if (indexWithinABucket === -1) {
+      return null
+    }
+
+    return [bucketIndex, indexWithinABucket]
+  }
+
+  // Returns the entry stored at the given location.
+  // 
+  // - Complexity (Scalability): O(1).
+  #getEntryAt([bucketIndex, indexWithinABucket]) {
+    if (this.strategy === 'open-addressing') {
+      return this.hashTable[bucketIndex]
+    }
+
+    return this.hashTable[bucketIndex][indexWithinABucket]
+  }
+
+  // Adds the given entry to the bucket at a calculated 
+  // index. Handles collisions if occur.
   // 
   // - Complexity (Scalability): O(1) on average.
-  set(value) {
-    const bucketIndex = this.#calculateBucketIndex(value)
-    
+  #addToBucket(entry) {
+    let bucketIndex = this.#calculateBucketIndex(this.#getKeyOf(entry))
+
+    if (this.strategy === 'open-addressing') {
+      // Probe until an empty bucket or a tombstone is 
+      // reached, the latter can be reused.
+      while (bucketIndex in this.hashTable &&
+             this.hashTable[bucketIndex] !== TOMBSTONE) {
+        bucketIndex = (bucketIndex + 1) % this.capacity
+      }
+
+      if (this.hashTable[bucketIndex] === TOMBSTONE) {
+        this.#tombstones--
+      }
+
+      this.hashTable[bucketIndex] = entry
+      return
+    }
+
     // If the bucket is empty
     if (this.hashTable[bucketIndex] === undefined) {
-      this.hashTable[bucketIndex] = [value]
+      this.hashTable[bucketIndex] = [entry]
 
     // If collision occurred
     } else {
-      this.hashTable[bucketIndex].push(value)
+      this.hashTable[bucketIndex].push(entry)
+    }
+  }
+
+  // Replaces the buckets of the Hash Table with the given 
+  // number of new ones and rehashes all stored entries 
+  // into them. Tombstones are not carried over.
+  // 
+  // - Complexity (Scalability): O(n), where n is the number 
+  //   of buckets.
+  #resize(capacity) {
+    const entries = this.strategy === 'open-addressing'
+      ? this.hashTable.filter((entry) => entry !== TOMBSTONE)
+      : this.hashTable.flat()
+    this.hashTable = Array(capacity)
+    this.#tombstones = 0
+
+    for (const entry of entries) {
+      this.#addToBucket(entry)
+    }
+  }
+
+  // Sets a bucket at a calculated index to a given value. 
+  // Handles collisions if occur. In the map mode, stores 
+  // the given value under the given key, overwriting the 
+  // value of an existing key. In the set mode, skips a 
+  // value that is already stored. Returns an updated Hash 
+  // Table.
+  // 
+  // - Complexity (Scalability): O(1) on average.
+  set(key, value) {
+    let entry = key
+
+    if (this.mode === 'set' && this.#locate(key)) {
+      return this
+    }
+
+    if (this.mode === 'map') {
+      const locationOfEntry = this.#locate(key)
+
+      // If the key already exists, overwrite its value
+      if (locationOfEntry) {
+        this.#getEntryAt(locationOfEntry)[1] = value
+        return this
+      }
+
+      entry = [key, value]
+    }
+
+    this.#addToBucket(entry)
+    this.#size++
+    this.#modificationCount++
+
+    if (this.loadFactor > this.#maxLoadFactor) {
+      this.#resize(this.capacity * 2)
+
+    // If tombstones take up too many buckets, compact
+    } else if ((this.#size + this.#tombstones) / this.capacity > this.#maxLoadFactor) {
+      this.#resize(this.capacity)
     }
 
     return this
   }
 
-  // Returns the sought value if such is found, otherwise 
-  // null.
+  // Returns the location (an array containing the bucket 
+  // index and the index within a bucket) of the sought 
+  // value if such is found, otherwise null. In the map 
+  // mode, returns the value stored under the given key if 
+  // such is found, otherwise null.
   // 
   // - Complexity (Scalability): O(1) on average.
-  get(value) {
-    const bucketIndex = this.#calculateBucketIndex(value)
+  get(key) {
+    const locationOfEntry = this.#locate(key)
 
-    // If the bucket is empty
-    if (this.hashTable[bucketIndex] === undefined) {
+    if (this.mode !== 'map') {
+      return locationOfEntry
+    }
+
+    if (!locationOfEntry) {
       return null
     }
 
-    const bucket = this.hashTable[bucketIndex]
-    const indexWithinABucket = bucket.indexOf(value);
+    return this.#getEntryAt(locationOfEntry)[1]
+  }
 
-    // If the value is not found within a bucket
-    if (indexWithinABucket === -1) {
-      return null
+  // Returns true if the Hash Table contains the given 
+  // value (or key in the map mode), otherwise false.
+  // 
+  // - Complexity (Scalability): O(1) on average.
+  has(key) {
+    return this.#locate(key) !== null
+  }
+
+  // Removes the entry at the given location from its 
+  // bucket, or replaces it with a tombstone in the 
+  // open-addressing strategy. Returns the removed entry.
+  // 
+  // - Complexity (Scalability): O(1) on average.
+  #removeAt(locationOfEntry) {
+    const [bucketIndex, indexWithinABucket] = locationOfEntry
+    const removedEntry = this.#getEntryAt(locationOfEntry)
+
+    if (this.strategy === 'open-addressing') {
+      this.hashTable[bucketIndex] = TOMBSTONE
+      this.#tombstones++
+    } else {
+      this.hashTable[bucketIndex].splice(indexWithinABucket, 1)
     }
 
-    return [bucketIndex, indexWithinABucket]
+    this.#size--
+    this.#modificationCount++
+
+    if (this.loadFactor < this.#minLoadFactor &&
+        this.capacity > this.#initialCapacity) {
+      this.#resize(Math.max(Math.floor(this.capacity / 2), this.#initialCapacity))
+    }
+
+    return removedEntry
   }
 
-  // Removes and returns the sought value if such is found, 
-  // otherwise returns null.
+  // Removes the given value (or the entry stored under the 
+  // given key in the map mode). Returns true if such was 
+  // found, otherwise false.
   // 
   // - Complexity (Scalability): O(1) on average.
-  remove(value) {
-    const locationOfValue = this.get(value)
+  delete(key) {
+    const locationOfEntry = this.#locate(key)
 
-    if (!locationOfValue) {
-      return null
+    if (!locationOfEntry) {
+      return false
     }
 
-    const [bucketIndex, indexWithinABucket] = locationOfValue
+    this.#removeAt(locationOfEntry)
+    return true
+  }
 
-    const bucket = this.hashTable[bucketIndex]
-    bucket.splice(indexWithinABucket, 1)
+  // Removes and returns the sought value if such is found, 
+  // otherwise returns null. In the map mode, removes the 
+  // entry stored under the given key and returns its 
+  // value.
+  // 
+  // - Complexity (Scalability): O(1) on average.
+  remove(key) {
+    const locationOfEntry = this.#locate(key)
+
+    if (!locationOfEntry) {
+      return null
+    }
 
-    return value
+    const removedEntry = this.#removeAt(locationOfEntry)
+    return this.mode === 'map' ? removedEntry[1] : removedEntry
   }
 
-  // Removes all buckets from the Hash Table. Returns an 
-  // empty Hash Table.
+  // Removes all buckets from the Hash Table and restores 
+  // its initial capacity. Returns an empty Hash Table.
   // 
   // - Complexity (Scalability): O(1).
   removeAll() {
-    this.hashTable = Array(capacity)
+    this.hashTable = Array(this.#initialCapacity)
+    this.#size = 0
+    this.#tombstones = 0
+    this.#modificationCount++
     return this
   }
+
+  // Yields all stored entries bucket by bucket. Throws an 
+  // error if the Hash Table is modified during iteration.
+  // 
+  // - Complexity (Scalability): O(n), where n is the number 
+  //   of buckets and stored entries.
+  *#entries() {
+    const buckets = this.hashTable
+    const modificationCount = this.#modificationCount
+
+    for (let bucketIndex = 0; bucketIndex < buckets.length; bucketIndex++) {
+      // If the bucket is empty
+      if (!(bucketIndex in buckets)) {
+        continue
+      }
+
+      const bucket = this.strategy === 'open-addressing'
+        ? [buckets[bucketIndex]]
+        : buckets[bucketIndex]
+
+      for (const entry of bucket) {
+        if (entry === TOMBSTONE) {
+          continue
+        }
+
+        yield entry
+
+        if (this.#modificationCount !== modificationCount) {
+          throw new Error('The Hash Table has been modified during iteration.')
+        }
+      }
+    }
+  }
+
+  // Yields all stored values (or keys in the map mode).
+  // 
+  // - Complexity (Scalability): O(n), where n is the number 
+  //   of buckets and stored entries.
+  *keys() {
+    for (const entry of this.#entries()) {
+      yield this.#getKeyOf(entry)
+    }
+  }
+
+  // Yields all stored values.
+  // 
+  // - Complexity (Scalability): O(n), where n is the number 
+  //   of buckets and stored entries.
+  *values() {
+    for (const entry of this.#entries()) {
+      yield this.mode === 'map' ? entry[1] : entry
+    }
+  }
+
+  // Yields a [key, value] pair for every stored entry. 
+  // Outside the map mode, the key and the value are both 
+  // the stored value.
+  // 
+  // - Complexity (Scalability): O(n), where n is the number 
+  //   of buckets and stored entries.
+  *entries() {
+    for (const entry of this.#entries()) {
+      yield this.mode === 'map' ? [entry[0], entry[1]] : [entry, entry]
+    }
+  }
+
+  // Yields [key, value] pairs in the map mode, otherwise 
+  // the stored values.
+  // 
+  // - Complexity (Scalability): O(n), where n is the number 
+  //   of buckets and stored entries.
+  [Symbol.iterator]() {
+    return this.mode === 'map' ? this.entries() : this.values()
+  }
+
+  // Calls the given callback with the value, the key and 
+  // the Hash Table for every stored entry.
+  // 
+  // - Complexity (Scalability): O(n), where n is the number 
+  //   of buckets and stored entries.
+  forEach(callback, thisArg) {
+    for (const [key, value] of this.entries()) {
+      callback.call(thisArg, value, key, this)
+    }
+  }
+
+  // Creates an empty Hash Table with the same initial 
+  // capacity, hash function and options as this one.
+  // 
+  // - Complexity (Scalability): O(1).
+  #createEmptyCopy() {
+    return new HashTable(this.#initialCapacity, this.customHashFunction, {
+      mode: this.mode,
+      strategy: this.strategy,
+      maxLoadFactor: this.#maxLoadFactor,
+      minLoadFactor: this.#minLoadFactor,
+    })
+  }
+
+  // Sets the given [key, value] pair to the given Hash 
+  // Table unless its key is already stored there.
+  // 
+  // - Complexity (Scalability): O(1) on average.
+  #setUnique(hashTable, [key, value]) {
+    if (hashTable.has(key)) {
+      return
+    }
+
+    if (hashTable.mode === 'map') {
+      hashTable.set(key, value)
+    } else {
+      hashTable.set(key)
+    }
+  }
+
+  // Returns a new Hash Table that contains the entries of 
+  // both this and the other Hash Table. For keys stored in 
+  // both, the entry of this Hash Table is kept.
+  // 
+  // - Complexity (Scalability): O(n + m), where n and m 
+  //   are the sizes of the Hash Tables.
+  union(other) {
+    const result = this.#createEmptyCopy()
+
+    for (const entry of this.entries()) {
+      this.#setUnique(result, entry)
+    }
+    for (const entry of other.entries()) {
+      this.#setUnique(result, entry)
+    }
+
+    return result
+  }
+
+  // Returns a new Hash Table that contains the entries of 
+  // this Hash Table whose keys are also stored in the 
+  // other one.
+  // 
+  // - Complexity (Scalability): O(n), where n is the size 
+  //   of this Hash Table.
+  intersection(other) {
+    const result = this.#createEmptyCopy()
+
+    for (const entry of this.entries()) {
+      if (other.has(entry[0])) {
+        this.#setUnique(result, entry)
+      }
+    }
+
+    return result
+  }
+
+  // Returns a new Hash Table that contains the entries of 
+  // this Hash Table whose keys are not stored in the other 
+  // one.
+  // 
+  // - Complexity (Scalability): O(n), where n is the size 
+  //   of this Hash Table.
+  difference(other) {
+    const result = this.#createEmptyCopy()
+
+    for (const entry of this.entries()) {
+      if (!other.has(entry[0])) {
+        this.#setUnique(result, entry)
+      }
+    }
+
+    return result
+  }
+
+  // Returns a new Hash Table that contains the entries 
+  // whose keys are stored in exactly one of this and the 
+  // other Hash Table.
+  // 
+  // - Complexity (Scalability): O(n + m), where n and m 
+  //   are the sizes of the Hash Tables.
+  symmetricDifference(other) {
+    const result = this.difference(other)
+
+    for (const entry of other.entries()) {
+      if (!this.has(entry[0])) {
+        this.#setUnique(result, entry)
+      }
+    }
+
+    return result
+  }
+
+  // Returns true if every key of this Hash Table is also 
+  // stored in the other one, otherwise false.
+  // 
+  // - Complexity (Scalability): O(n), where n is the size 
+  //   of this Hash Table.
+  isSubsetOf(other) {
+    for (const key of this.keys()) {
+      if (!other.has(key)) {
+        return false
+      }
+    }
+
+    return true
+  }
+
+  // Returns true if this and the other Hash Table have no 
+  // keys in common, otherwise false.
+  // 
+  // - Complexity (Scalability): O(n), where n is the size 
+  //   of this Hash Table.
+  isDisjointFrom(other) {
+    for (const key of this.keys()) {
+      if (other.has(key)) {
+        return false
+      }
+    }
+
+    return true
+  }
 }
\ No newline at end of file
@@ -0,0 +1,133 @@
+// Checks how evenly the default hash function of a Hash
+// Table spreads keys across its buckets, compared to the
+// digit-sum hash function it replaced, and that custom
+// hash functions returning any number keep all items,
+// and that iteration fails fast.
+//
+// Run with: node --test data-structures/
+
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { HashTable } from '../mod.js'
+
+const CAPACITY = 128
+const KEY_COUNT = 5000
+
+// The hash function the Hash Table used to have: the sum
+// of the digits of a number, or of the char codes of a
+// string written one after another.
+function hashBySummingDigits(value) {
+  let number = typeof value === 'number'
+    ? value
+    : Number(Array.from(value, (_, i) => value.charCodeAt(i)).join(''))
+  let sum = 0
+
+  while (number) {
+    sum += number % 10
+    number = Math.floor(number / 10)
+  }
+
+  return sum
+}
+
+// Sets the given keys to a Hash Table of a fixed capacity
+// with the given hash function (the default one if null).
+// Returns the number of buckets in use and the size of the
+// largest bucket.
+function measureDistribution(keys, hashFunction) {
+  // A high max load factor keeps the Hash Table from
+  // resizing, so all keys share the same buckets.
+  const hashTable = new HashTable(CAPACITY, hashFunction, { maxLoadFactor: KEY_COUNT })
+
+  for (const key of keys) {
+    hashTable.set(key)
+  }
+
+  const buckets = hashTable.hashTable.filter((bucket) => bucket !== undefined)
+
+  assert.equal(hashTable.capacity, CAPACITY)
+  assert.equal(hashTable.size, keys.length)
+
+  return {
+    usedBucketCount: buckets.length,
+    largestBucketSize: Math.max(...buckets.map((bucket) => bucket.length)),
+  }
+}
+
+const keySets = {
+  'string keys': Array.from({ length: KEY_COUNT }, (_, i) => `user-${i}`),
+  'number keys': Array.from({ length: KEY_COUNT }, (_, i) => i),
+}
+
+for (const [name, keys] of Object.entries(keySets)) {
+  test(`${name} spread across the buckets more evenly than with digit sums`, (t) => {
+    const digitSum = measureDistribution(keys, hashBySummingDigits)
+    const current = measureDistribution(keys, null)
+    const averageBucketSize = KEY_COUNT / CAPACITY
+
+    t.diagnostic(`digit sums: ${digitSum.usedBucketCount} of ${CAPACITY} buckets used, at most ${digitSum.largestBucketSize} keys in one`)
+    t.diagnostic(`current: ${current.usedBucketCount} of ${CAPACITY} buckets used, at most ${current.largestBucketSize} keys in one`)
+
+    // Digit sums of such keys fall into a narrow range.
+    assert.ok(digitSum.usedBucketCount < CAPACITY / 2)
+
+    assert.equal(current.usedBucketCount, CAPACITY)
+    assert.ok(current.largestBucketSize < 2 * averageBucketSize)
+    assert.ok(current.largestBucketSize < digitSum.largestBucketSize / 4)
+  })
+}
+
+for (const strategy of ['chaining', 'open-addressing']) {
+  test(`${strategy}: keeps items with negative hash codes through resizing`, () => {
+    const hashTable = new HashTable(4, (value) => -value, { strategy })
+    const values = [1, 2, 3, 4, 5, 6, 7, 8, 9]
+
+    for (const value of values) {
+      hashTable.set(value)
+    }
+
+    assert.ok(hashTable.capacity > 4)
+    assert.equal(hashTable.size, values.length)
+
+    for (const value of values) {
+      assert.ok(hashTable.has(value))
+    }
+  })
+}
+
+for (const strategy of ['chaining', 'open-addressing']) {
+  test(`${strategy}: iterates over items with fractional hash codes`, () => {
+    const hashTable = HashTable.from([1, 2], 4, (value) => value + 0.5, { strategy })
+
+    assert.equal(hashTable.size, 2)
+    assert.deepEqual([...hashTable].sort(), [1, 2])
+  })
+
+  test(`${strategy}: throws when modified during iteration`, () => {
+    const values = HashTable.from([1, 2, 3], 8, null, { strategy })
+    const map = HashTable.from([['a', 1], ['b', 2]], 8, null, { strategy, mode: 'map' })
+
+    assert.throws(() => {
+      for (const value of values) {
+        values.set(value + 10)
+      }
+    }, /modified during iteration/)
+
+    assert.throws(() => {
+      values.forEach((value) => values.delete(value))
+    }, /modified during iteration/)
+
+    assert.throws(() => {
+      for (const [key] of map.entries()) {
+        map.set(`${key}${key}`, 0)
+      }
+    }, /modified during iteration/)
+
+    assert.throws(() => {
+      for (const key of map.keys()) {
+        map.delete(key)
+      }
+    }, /modified during iteration/)
+  })
+}
@@ -0,0 +1,306 @@
+// Radix Trie
+//
+// A Radix Trie (aka Patricia Trie) is a compressed Trie:
+// every chain of Nodes that have a single child and do
+// not terminate a word is merged into one Node, whose
+// label holds the whole run of characters.
+//
+// The advantage of a Radix Trie over a Trie is that it
+// allocates far fewer Nodes for words that share long
+// prefixes or have long unique tails, such as URLs and
+// file paths, while addition, lookup and removal of words
+// is still done in O(n) time, where n is the length of
+// the given word.
+//
+// This implementation provides five operations to do with
+// a Radix Trie: addWord, contains, removeWord, removeAll,
+// and countNodes. Other implementations are possible.
+//
+// As in a Trie (by default), words are split by Unicode
+// code point, so a label never ends in the middle of a
+// character such as an emoji, which takes two UTF-16 code
+// units. Unlike the Trie, the Radix Trie does not split
+// words by grapheme cluster, and does not accept arrays
+// of tokens.
+//
+//                ┌───────┐
+//                │   *   │
+//                └───┬───┘
+//                ┌───┴───┐
+//                │   t   │
+//                └─┬───┬─┘
+//          ┌───────┘   └───────┐
+//      ┌───┴───┐           ┌───┴────┐
+//      │   e   │           │  oast  │
+//      └─┬───┬─┘           └────────┘
+//    ┌───┘   └───┐
+// ┌───┴───┐   ┌───┴───┐
+// │  st   │   │  am   │
+// └───────┘   └───────┘
+//
+//    Radix Trie of "test", "team" and "toast"
+//
+// Additional resources:
+// - https://en.wikipedia.org/wiki/Radix_tree
+
+
+// Returns the character (a code point) of the given string
+// that starts at the given offset.
+function getCharacterAt(string, offset) {
+  return String.fromCodePoint(string.codePointAt(offset))
+}
+
+class Node {
+  constructor(label) {
+    this.label = label
+    // Children are keyed by the first character of their
+    // labels, which are distinct among siblings.
+    this.children = new Map()
+    this.isTerminating = false
+  }
+
+  // Returns true if the Node has one or more children,
+  // otherwise returns false.
+  //
+  // - Complexity (Scalability): O(1).
+  hasChildren() {
+    return this.children.size !== 0
+  }
+
+  // Returns the child Node whose label starts with the
+  // given character if found. Otherwise return null.
+  //
+  // - Complexity (Scalability): O(1).
+  getChild(character) {
+    const childNode = this.children.get(character)
+
+    if (childNode) {
+      return childNode
+    }
+
+    return null
+  }
+
+  // Adds the given Node as a child of the Node. Returns
+  // the added Node.
+  //
+  // - Complexity (Scalability): O(1).
+  setChild(childNode) {
+    this.children.set(getCharacterAt(childNode.label, 0), childNode)
+    return childNode
+  }
+}
+
+// Returns the length (in UTF-16 code units) of the longest
+// common prefix of the given label and of the given word
+// starting at the given offset. The prefix never ends
+// between the two code units of a surrogate pair.
+function getCommonPrefixLength(label, word, offset) {
+  let length = 0
+
+  while (length < label.length &&
+         offset + length < word.length &&
+         label[length] === word[offset + length]) {
+    length++
+  }
+
+  // If the prefix ends with a high surrogate, whose low
+  // surrogate differs, leave the whole pair out.
+  const lastCodeUnit = label.charCodeAt(length - 1)
+
+  if (length < label.length && lastCodeUnit >= 0xd800 && lastCodeUnit <= 0xdbff) {
+    length--
+  }
+
+  return length
+}
+
+export default class RadixTrie {
+  constructor() {
+    this.root = new Node('')
+    return this
+  }
+
+  // Adds a given word to the Radix Trie. If the word ends
+  // or diverges in the middle of a Node's label, such Node
+  // is split in two.
+  //
+  // - Complexity (Scalability): O(n), where n is the number
+  //   of characters in the given word.
+  addWord(word) {
+    if (typeof word !== 'string') {
+      word = word.toString()
+    }
+
+    let currentNode = this.root
+    let i = 0
+
+    while (i < word.length) {
+      let child = currentNode.getChild(getCharacterAt(word, i))
+
+      // If no label continues the word, add the rest of the
+      // word as a single Node.
+      if (!child) {
+        child = currentNode.setChild(new Node(word.slice(i)))
+        currentNode = child
+        break
+      }
+
+      const commonPrefixLength = getCommonPrefixLength(child.label, word, i)
+
+      // If the word diverges within the child's label, split
+      // the child into the common part and the rest.
+      if (commonPrefixLength < child.label.length) {
+        const splitNode = new Node(child.label.slice(0, commonPrefixLength))
+        child.label = child.label.slice(commonPrefixLength)
+        splitNode.setChild(child)
+        child = currentNode.setChild(splitNode)
+      }
+
+      currentNode = child
+      i += commonPrefixLength
+    }
+
+    currentNode.isTerminating = true
+    return this
+  }
+
+  // Returns the path (an array of Nodes starting with the
+  // root) that spells the given word, and the number of
+  // characters of the last Node's label used by the word.
+  // If the word is not found, returns null.
+  //
+  // - Complexity (Scalability): O(n), where n is the number
+  //   of characters in the given word.
+  #getPath(word) {
+    const path = [this.root]
+    let currentNode = this.root
+    let i = 0
+
+    while (i < word.length) {
+      const child = currentNode.getChild(getCharacterAt(word, i))
+
+      if (!child) {
+        return null
+      }
+
+      const commonPrefixLength = getCommonPrefixLength(child.label, word, i)
+      i += commonPrefixLength
+      path.push(child)
+
+      if (commonPrefixLength < child.label.length) {
+        // The word ends within the child's label.
+        if (i === word.length) {
+          return [path, commonPrefixLength]
+        }
+        return null
+      }
+
+      currentNode = child
+    }
+
+    return [path, currentNode.label.length]
+  }
+
+  // Returns true if the Radix Trie contains a given word,
+  // otherwise returns false.
+  //
+  // - Complexity (Scalability): O(n), where n is the number
+  //   of characters in the given word.
+  contains(word, isExactMatch = false) {
+    if (typeof word !== 'string') {
+      word = word.toString()
+    }
+
+    const pathToWord = this.#getPath(word)
+
+    if (!pathToWord) {
+      return false
+    }
+
+    if (isExactMatch) {
+      const [path, usedLabelLength] = pathToWord
+      const lastNode = path[path.length - 1]
+
+      return lastNode.isTerminating && usedLabelLength === lastNode.label.length
+    }
+
+    return true
+  }
+
+  // Merges the given Node with its only child, unless the
+  // Node is the root or terminates a word.
+  //
+  // - Complexity (Scalability): O(1).
+  #mergeWithOnlyChild(parentNode, node) {
+    if (node === this.root || node.isTerminating || node.children.size !== 1) {
+      return
+    }
+
+    const [onlyChild] = node.children.values()
+    onlyChild.label = node.label + onlyChild.label
+    parentNode.setChild(onlyChild)
+  }
+
+  // Removes the given word from the Radix Trie, returns an
+  // updated Radix Trie. Nodes left with a single child
+  // are merged back with it. If the word does not exist,
+  // throws an error.
+  //
+  // - Complexity (Scalability): O(n), where n is the number
+  //   of characters in the given word.
+  removeWord(word) {
+    if (typeof word !== 'string') {
+      word = word.toString()
+    }
+    if (word.length === 0) {
+      return null
+    }
+
+    if (!this.contains(word, true)) {
+      throw new Error('The given word cannot be removed because it does not exist.')
+    }
+
+    const [path] = this.#getPath(word)
+    const node = path[path.length - 1]
+    const parentNode = path[path.length - 2]
+
+    node.isTerminating = false
+
+    if (!node.hasChildren()) {
+      parentNode.children.delete(getCharacterAt(node.label, 0))
+      this.#mergeWithOnlyChild(path[path.length - 3], parentNode)
+    } else {
+      this.#mergeWithOnlyChild(parentNode, node)
+    }
+
+    return this
+  }
+
+  // Removes all Nodes from the Radix Trie. Returns an empty
+  // Radix Trie.
+  //
+  // - Complexity (Scalability): O(1).
+  removeAll() {
+    this.root = new Node('')
+    return this
+  }
+
+  // Returns the number of Nodes in the Radix Trie,
+  // including the root.
+  //
+  // - Complexity (Scalability): O(m), where m is the number
+  //   of Nodes in the Radix Trie.
+  countNodes() {
+    const stack = [this.root]
+    let count = 0
+
+    while (stack.length !== 0) {
+      const currentNode = stack.pop()
+      count++
+      stack.push(...currentNode.children.values())
+    }
+
+    return count
+  }
+}
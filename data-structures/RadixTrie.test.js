@@ -0,0 +1,129 @@
+// Checks that a Radix Trie holds the same words as a Trie
+// while allocating far fewer Nodes for URLs and file
+// paths, and that it splits and merges its Nodes as words
+// are added and removed.
+//
+// Run with: node --test data-structures/
+
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { Trie, RadixTrie } from '../mod.js'
+
+const HOSTS = ['https://example.com', 'https://example.org', 'http://localhost:8080']
+const SECTIONS = ['/api/v1/users', '/api/v1/orders', '/api/v2/users', '/static/images', '/docs/getting-started']
+const PATHS = ['/usr/local/bin', '/usr/local/lib/node_modules', '/usr/share/doc', '/home/user/projects', '/var/log']
+
+const words = [
+  ...HOSTS.flatMap((host) => SECTIONS.flatMap((section) => [
+    host + section,
+    ...Array.from({ length: 4 }, (_, i) => `${host}${section}/${i * 37}/details`),
+  ])),
+  ...PATHS.flatMap((path) => Array.from({ length: 6 }, (_, i) => `${path}/file-${i}.txt`)),
+]
+
+// Every word, each of its prefixes, and each of its
+// prefixes followed by a character it does not continue
+// with.
+const probes = [...new Set(words.flatMap((word) => Array.from(
+  { length: word.length + 1 },
+  (_, i) => [word.slice(0, i), `${word.slice(0, i)}#`],
+).flat()))]
+
+// Returns a Trie and a Radix Trie with the given words
+// added to both.
+function createTries(words) {
+  const trie = new Trie()
+  const radixTrie = new RadixTrie()
+
+  for (const word of words) {
+    trie.addWord(word)
+    radixTrie.addWord(word)
+  }
+
+  return { trie, radixTrie }
+}
+
+// Checks that the Trie and the Radix Trie give the same
+// result for every given probe, both as a prefix and as
+// an exact match.
+function assertSameContents({ trie, radixTrie }, probes) {
+  for (const probe of probes) {
+    assert.equal(radixTrie.contains(probe), trie.contains(probe), probe)
+    assert.equal(radixTrie.contains(probe, true), trie.contains(probe, true), probe)
+  }
+}
+
+test('allocates far fewer Nodes than a Trie for URLs and file paths', (t) => {
+  const { trie, radixTrie } = createTries(words)
+
+  t.diagnostic(`${words.length} words: ${trie.countNodes()} Trie Nodes, ${radixTrie.countNodes()} Radix Trie Nodes`)
+
+  assert.ok(radixTrie.countNodes() < trie.countNodes() / 4)
+})
+
+test('contains the same words and prefixes as a Trie', () => {
+  assertSameContents(createTries(words), probes)
+})
+
+test('removes the same words as a Trie', () => {
+  const tries = createTries(words)
+  const { trie, radixTrie } = tries
+
+  // Remove every other word, longest first, so that Nodes
+  // are merged both above and below the removed ones.
+  const removedWords = words.filter((_, i) => i % 2 === 0).sort((a, b) => b.length - a.length)
+
+  for (const word of removedWords) {
+    trie.removeWord(word)
+    radixTrie.removeWord(word)
+  }
+
+  assertSameContents(tries, probes)
+  assert.deepEqual(radixTrie.countNodes(), createTries(words.filter((_, i) => i % 2 !== 0)).radixTrie.countNodes())
+
+  assert.throws(() => radixTrie.removeWord(removedWords[0]), /does not exist/)
+  assert.throws(() => radixTrie.removeWord('https://example'), /does not exist/)
+})
+
+test('splits a Node when a word ends or diverges within its label', () => {
+  const radixTrie = new RadixTrie().addWord('toast').addWord('test')
+
+  assert.deepEqual([...radixTrie.root.children.keys()], ['t'])
+  assert.deepEqual([...radixTrie.root.getChild('t').children.values()].map(({ label }) => label), ['oast', 'est'])
+
+  radixTrie.addWord('te')
+  const node = radixTrie.root.getChild('t').getChild('e')
+
+  assert.equal(node.label, 'e')
+  assert.ok(node.isTerminating)
+  assert.equal(node.getChild('s').label, 'st')
+  assert.equal(radixTrie.countNodes(), 5)
+})
+
+test('merges a Node with its only child when a word is removed', () => {
+  const radixTrie = new RadixTrie().addWord('test').addWord('team').addWord('toast')
+
+  radixTrie.removeWord('team')
+  assert.equal(radixTrie.root.getChild('t').getChild('e').label, 'est')
+  assert.equal(radixTrie.countNodes(), 4)
+
+  radixTrie.removeWord('toast')
+  assert.equal(radixTrie.root.getChild('t').label, 'test')
+  assert.equal(radixTrie.countNodes(), 2)
+
+  radixTrie.removeWord('test')
+  assert.equal(radixTrie.countNodes(), 1)
+})
+
+test('splits words by code point as a Trie does', () => {
+  const emojiWords = ['🍕🍔', '🍕🌭', '🌮']
+  const { trie, radixTrie } = createTries(emojiWords)
+
+  assertSameContents({ trie, radixTrie }, ['🍕', '🍕🍔', '🍕🌭', '🌮', '\ud83c', '🍕\ud83c', '🍕🍟'])
+  assert.equal(radixTrie.root.getChild('🍕').label, '🍕')
+  assert.equal(radixTrie.countNodes(), 5)
+
+  radixTrie.removeWord('🍕🌭')
+  assert.equal(radixTrie.root.getChild('🍕').label, '🍕🍔')
+})
@@ -8,10 +8,36 @@
 // removal of words is done in O(n) time, where n is
 // the length of the given word.
 // 
-// This implementation provides four operations to do with 
-// a Trie: addWord, contains, removeWord, and removeAll. 
+// This implementation provides thirteen operations to do 
+// with a Trie: addWord, contains, frequency, search, 
+// match, wordsWithPrefix, iterateWordsWithPrefix, topK, 
+// compile, scan, removeWord, removeAll, and countNodes. 
 // Other implementations are possible.
 // 
+// A Trie can be compiled into an Aho-Corasick automaton, 
+// which finds all occurrences of all of its words in a 
+// text in a single pass. The automaton is cached and 
+// rebuilt after the Trie changes.
+// 
+// For a compressed variant that allocates fewer Nodes, see 
+// the Radix Trie.
+// 
+// Words are split into characters by Unicode code point 
+// (by default), by grapheme cluster, or by UTF-16 code 
+// unit, as set with the segmentation option. Words can be 
+// normalized (e.g. to NFC or NFKC) and case folded before 
+// being split. A word can also be given as an array of 
+// tokens, such as path segments, which makes the Trie a 
+// generic sequence Trie: every token is stored at a Node 
+// as a character would be. Operations return words as 
+// arrays of tokens when queried with an array, and as 
+// strings otherwise.
+// 
+// Every terminating Node keeps count of how many times its 
+// word has been added, as well as an optional weight and 
+// payload. topK ranks words by weight, or by count for 
+// words without one.
+// 
 //                   ┌───────┐
 //                   │   *   │
 //                   └─┬─┬─┬─┘
@@ -33,21 +59,28 @@
 // Additional resources:
 // - https://www.youtube.com/watch?v=zIjfhVPRZCg
 // - https://github.com/trekhleb/javascript-algorithms/tree/master/src/data-structures/trie
+// - https://en.wikipedia.org/wiki/Aho%E2%80%93Corasick_algorithm
 
+import { Queue } from '../mod.js'
 
 class Node {
-  constructor(character) {
+  constructor(character, parent = null) {
     this.character = character
-    this.children = {}
+    this.parent = parent
+    // Children are kept in the order of their addition.
+    this.children = new Map()
     this.isTerminating = false
+    this.count = 0
+    this.weight = null
+    this.payload = null
   }
 
   // Returns true if the Node has one or more children, 
   // otherwise returns false.
   // 
-  // - Complexity (Scalability): O(n).
+  // - Complexity (Scalability): O(1).
   hasChildren() {
-    return Object.keys(this.children).length !== 0
+    return this.children.size !== 0
   }
 
   // Returns the child Node whose character value matches 
@@ -55,7 +88,7 @@ class Node {
   // 
   // - Complexity (Scalability): O(1).
   getChild(character) {
-    const childNode = this.children[character]
+    const childNode = this.children.get(character)
 
     if (childNode) {
       return childNode
@@ -85,10 +118,25 @@ class Node {
       throw new Error('The given Node cannot be removed because it terminates a sequence. If you are confident you want to remove this Node, make sure to set the isTerminating property of Node to false.')
     }
 
-    delete this.children[character]
+    this.children.delete(character)
     return childNode
   }
 
+  // Returns the array of characters on the path from the 
+  // root down to the Node.
+  // 
+  // - Complexity (Scalability): O(d), where d is the depth 
+  //   of the Node.
+  getSequence() {
+    const sequence = []
+
+    for (let node = this; node.parent; node = node.parent) {
+      sequence.push(node.character)
+    }
+
+    return sequence.reverse()
+  }
+
   // Sets the Node's isTerminating property indicating that 
   // the Node with the preceding sequence constitutes a 
   // complete word to true.
@@ -99,45 +147,345 @@ class Node {
     return this
   }
 
-  // Sets the Node's isTerminating property to false.
+  // Sets the Node's isTerminating property to false and 
+  // resets the count, weight and payload of its word.
   // 
   // - Complexity (Scalability): O(1).
   unsetAsTerminating() {
     this.isTerminating = false
+    this.count = 0
+    this.weight = null
+    this.payload = null
     return this
   }
 }
 
-export default class Trie {
-  constructor() {
-    this.root = new Node('*')
+const SEGMENTATIONS = ['codePoint', 'grapheme', 'codeUnit']
+const NORMALIZATIONS = [null, 'NFC', 'NFD', 'NFKC', 'NFKD']
+
+// Returns the lower case form of the given character, 
+// unless lowering its case changes its length, so that 
+// positions within a text are kept intact.
+function foldCase(character) {
+  const foldedCharacter = character.toLowerCase()
+  return foldedCharacter.length === character.length ? foldedCharacter : character
+}
+
+// Compares the given sequences of characters 
+// lexicographically. Returns a negative number, zero, or 
+// a positive number, like a sort comparator.
+function compareSequences(sequence, otherSequence) {
+  const length = Math.min(sequence.length, otherSequence.length)
+
+  for (let i = 0; i < length; i++) {
+    if (sequence[i] !== otherSequence[i]) {
+      return sequence[i] < otherSequence[i] ? -1 : 1
+    }
+  }
+
+  return sequence.length - otherSequence.length
+}
+
+class AutomatonState {
+  constructor(depth = 0) {
+    this.transitions = new Map()
+    // The number of characters in this state's sequence.
+    this.depth = depth
+    // The state of the longest proper suffix of this 
+    // state's sequence that is also a prefix of some word.
+    this.failureLink = null
+    // The closest state along the failure links that 
+    // terminates one or more words.
+    this.outputLink = null
+    // The words that terminate at this state.
+    this.words = []
+  }
+}
+
+// An Aho-Corasick automaton over sequences of characters 
+// (or tokens), where every word is an array of such.
+class AhoCorasickAutomaton {
+  constructor(words, isCaseInsensitive) {
+    this.root = new AutomatonState()
+    this.isCaseInsensitive = isCaseInsensitive
+
+    for (const word of words) {
+      // An empty word would occur at every position of a 
+      // text, so it is not looked for.
+      if (word.length !== 0) {
+        this.#addWord(word)
+      }
+    }
+
+    this.#linkStates()
     return this
   }
 
-  // Adds a given word to the Trie.
+  // Adds the states that spell the given word (an array of 
+  // characters) to the automaton.
   // 
   // - Complexity (Scalability): O(n), where n is the number 
   //   of characters in the given word.
-  addWord(word) {
+  #addWord(word) {
+    let currentState = this.root
+
+    for (let i = 0; i < word.length; i++) {
+      const character = this.isCaseInsensitive ? foldCase(word[i]) : word[i]
+
+      if (!currentState.transitions.has(character)) {
+        currentState.transitions.set(character, new AutomatonState(i + 1))
+      }
+
+      currentState = currentState.transitions.get(character)
+    }
+
+    currentState.words.push(word)
+  }
+
+  // Sets the failure and output links of every state.
+  // 
+  // - Note: uses a Breadth-First Search algorithm, so that 
+  //   the links of shallower states are set first.
+  // 
+  // - Complexity (Scalability): O(m * a), where m is the 
+  //   number of states and a is the size of the alphabet.
+  #linkStates() {
+    const queue = new Queue()
+
+    for (const state of this.root.transitions.values()) {
+      state.failureLink = this.root
+      queue.add(state)
+    }
+
+    while (!queue.isEmpty()) {
+      const currentState = queue.remove()
+
+      for (const [character, state] of currentState.transitions) {
+        let failureState = currentState.failureLink
+
+        while (failureState !== this.root && !failureState.transitions.has(character)) {
+          failureState = failureState.failureLink
+        }
+
+        state.failureLink = failureState.transitions.get(character) ?? this.root
+        state.outputLink = state.failureLink.words.length !== 0
+          ? state.failureLink
+          : state.failureLink.outputLink
+
+        queue.add(state)
+      }
+    }
+  }
+
+  // Yields a { word, start, end } object for every 
+  // occurrence of a word in the given text (an array of 
+  // characters), where start and end are indexes of 
+  // characters, the latter exclusive. Occurrences are 
+  // yielded in the order of their ends, the longest first. 
+  // Unless overlapping is set, occurrences are picked 
+  // leftmost-longest instead: the longest of those that 
+  // start first, then the longest of those that start 
+  // after it ends, and so on, in the order of their starts.
+  // 
+  // - Note: an occurrence is picked once no longer one can 
+  //   start at the same position, that is, once the text 
+  //   read so far is no longer a prefix of a word from 
+  //   there on. Until then, the longest occurrence at 
+  //   every start is held back.
+  // 
+  // - Complexity (Scalability): O(n + k), where n is the 
+  //   length of the text and k is the number of 
+  //   occurrences.
+  *scan(text, { overlapping = true } = {}) {
+    let currentState = this.root
+    // The longest occurrence found at every start from 
+    // nextStart on, the position at which the next picked 
+    // occurrence may start.
+    const longestOccurrences = new Map()
+    let nextStart = 0
+
+    // One step past the end of the text picks the 
+    // occurrences that are still held back.
+    for (let i = 0; i <= text.length; i++) {
+      let earliestStart = text.length
+
+      if (i < text.length) {
+        const character = this.isCaseInsensitive ? foldCase(text[i]) : text[i]
+
+        while (currentState !== this.root && !currentState.transitions.has(character)) {
+          currentState = currentState.failureLink
+        }
+
+        currentState = currentState.transitions.get(character) ?? this.root
+
+        let outputState = currentState.words.length !== 0
+          ? currentState
+          : currentState.outputLink
+
+        while (outputState) {
+          for (const word of outputState.words) {
+            const occurrence = { word, start: i + 1 - word.length, end: i + 1 }
+
+            if (overlapping) {
+              yield occurrence
+
+            // Of the occurrences with the same start, the 
+            // longest one ends last.
+            } else if (occurrence.start >= nextStart) {
+              longestOccurrences.set(occurrence.start, occurrence)
+            }
+          }
+
+          outputState = outputState.outputLink
+        }
+
+        // The earliest position at which an occurrence that 
+        // is yet to be found can start.
+        earliestStart = i + 1 - currentState.depth
+      }
+
+      if (overlapping) {
+        continue
+      }
+
+      while (nextStart < earliestStart) {
+        const occurrence = longestOccurrences.get(nextStart)
+
+        if (!occurrence) {
+          nextStart++
+          continue
+        }
+
+        yield occurrence
+
+        // Skip the occurrences that overlap the picked one.
+        for (; nextStart < occurrence.end; nextStart++) {
+          longestOccurrences.delete(nextStart)
+        }
+      }
+    }
+  }
+}
+
+export default class Trie {
+  #automata = new Map()
+  #segmenter = null
+
+  constructor({
+    segmentation = 'codePoint',
+    normalization = null,
+    caseFold = false,
+  } = {}) {
+    if (!SEGMENTATIONS.includes(segmentation)) {
+      throw new Error(`Segmentation ${segmentation} is not supported. Provide one of: ${SEGMENTATIONS.join(', ')}.`)
+    }
+    if (!NORMALIZATIONS.includes(normalization)) {
+      throw new Error(`Normalization ${normalization} is not supported. Provide one of: ${NORMALIZATIONS.join(', ')}.`)
+    }
+
+    this.root = new Node('*')
+    this.segmentation = segmentation
+    this.normalization = normalization
+    this.caseFold = caseFold
+
+    if (segmentation === 'grapheme') {
+      this.#segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+    }
+
+    return this
+  }
+
+  // Normalizes and case folds the given string, as set 
+  // with the normalization and caseFold options.
+  // 
+  // - Note: case folding is approximated by converting to 
+  //   upper case and then to lower case, which, for 
+  //   example, folds 'ß' to 'ss'.
+  // 
+  // - Complexity (Scalability): O(n), where n is the length 
+  //   of the given string.
+  #normalize(string) {
+    if (this.normalization) {
+      string = string.normalize(this.normalization)
+    }
+    if (this.caseFold) {
+      string = string.toUpperCase().toLowerCase()
+    }
+
+    return string
+  }
+
+  // Splits the given word into an array of characters as 
+  // set with the segmentation option, after normalizing 
+  // it. If the word is an array, normalizes each of its 
+  // tokens instead.
+  // 
+  // - Complexity (Scalability): O(n), where n is the length 
+  //   of the given word.
+  #tokenize(word) {
+    if (Array.isArray(word)) {
+      return word.map((token) => this.#normalize(token.toString()))
+    }
     if (typeof word !== 'string') {
       word = word.toString()
     }
 
+    word = this.#normalize(word)
+
+    switch (this.segmentation) {
+      case 'grapheme':
+        return Array.from(this.#segmenter.segment(word), ({ segment }) => segment)
+      case 'codeUnit':
+        return word.split('')
+      default:
+        return Array.from(word)
+    }
+  }
+
+  // Returns the word that the path from the root down to 
+  // the given Node spells: an array of characters if 
+  // isSequence is set, otherwise a string.
+  // 
+  // - Complexity (Scalability): O(d), where d is the depth 
+  //   of the given Node.
+  #composeWord(node, isSequence) {
+    const sequence = node.getSequence()
+    return isSequence ? sequence : sequence.join('')
+  }
+
+  // Adds a given word to the Trie, or increments its count 
+  // if it has already been added. The given weight and 
+  // payload, if provided, replace the ones stored for the 
+  // word.
+  // 
+  // - Complexity (Scalability): O(n), where n is the number 
+  //   of characters in the given word.
+  addWord(word, { weight, payload } = {}) {
+    const characters = this.#tokenize(word)
     let currentNode = this.root
 
-    for (let i = 0; i < word.length; i++) {
-      const character = word[i]
+    for (const character of characters) {
       let child = currentNode.getChild(character)
 
       if (!child) {
-        child = new Node(character)
-        currentNode.children[character] = child
+        child = new Node(character, currentNode)
+        currentNode.children.set(character, child)
       }
 
       currentNode = child
     }
 
     currentNode.setAsTerminating()
+    currentNode.count++
+    this.#automata.clear()
+
+    if (weight !== undefined) {
+      currentNode.weight = weight
+    }
+    if (payload !== undefined) {
+      currentNode.payload = payload
+    }
+
     return this
   }
 
@@ -147,93 +495,509 @@ export default class Trie {
   // - Complexity (Scalability): O(n), where n is the number 
   //   of characters in the given word.
   contains(word, isExactMatch = false) {
-    if (typeof word !== 'string') {
-      word = word.toString()
+    const currentNode = this.#getNode(word)
+
+    if (!currentNode) {
+      return false
+    }
+
+    if (isExactMatch) {
+      return currentNode.isTerminating
     }
 
+    return true
+  }
+
+  // Returns the number of times the given word has been 
+  // added to the Trie, or 0 if it is not found.
+  // 
+  // - Complexity (Scalability): O(n), where n is the number 
+  //   of characters in the given word.
+  frequency(word) {
+    const currentNode = this.#getNode(word)
+    return currentNode ? currentNode.count : 0
+  }
+
+  // Returns the Node at the end of the path that spells 
+  // the given word if such is found, otherwise null.
+  // 
+  // - Complexity (Scalability): O(n), where n is the number 
+  //   of characters in the given word.
+  #getNode(word) {
+    const characters = this.#tokenize(word)
     let currentNode = this.root
     
-    for (let i = 0; i < word.length; i++) {
-      const character = word[i]
+    for (const character of characters) {
       const child = currentNode.getChild(character)
 
       if (!child) {
-        return false
+        return null
       }
 
       currentNode = child
     }
 
-    if (isExactMatch) {
-      return currentNode.isTerminating
+    return currentNode
+  }
+
+  // Returns an array of the words that are within the given 
+  // edit distance of the given word, each as an object 
+  // containing the word and its distance. The distance is 
+  // the Levenshtein one (insertions, deletions and 
+  // substitutions), or, with the transpositions option 
+  // set, the Damerau one, which also counts swapping two 
+  // adjacent characters as a single edit (in its 
+  // restricted form, aka optimal string alignment: a 
+  // swapped pair is not edited again). The words are 
+  // ordered by distance, then lexicographically.
+  // 
+  // - Note: a row of the edit distance matrix is computed 
+  //   for every visited Node, and branches whose rows 
+  //   already exceed the given distance are not visited.
+  // 
+  // - Complexity (Scalability): O(m * n), where m is the 
+  //   number of visited Nodes and n is the number of 
+  //   characters in the given word.
+  search(word, maxDistance = 1, { transpositions = false } = {}) {
+    const isSequence = Array.isArray(word)
+    word = this.#tokenize(word)
+
+    const foundNodes = []
+    const firstRow = Array.from({ length: word.length + 1 }, (_, i) => i)
+
+    if (this.root.isTerminating && word.length <= maxDistance) {
+      foundNodes.push({ node: this.root, distance: word.length })
     }
 
-    return true
+    const stack = [...this.root.children.values()]
+      .map((child) => [child, firstRow, null])
+
+    while (stack.length !== 0) {
+      const [currentNode, previousRow, secondPreviousRow] = stack.pop()
+      const character = currentNode.character
+      const previousCharacter = currentNode.parent.character
+      const currentRow = [previousRow[0] + 1]
+
+      for (let i = 1; i <= word.length; i++) {
+        const insertionCost = currentRow[i - 1] + 1
+        const deletionCost = previousRow[i] + 1
+        const substitutionCost = previousRow[i - 1] + (word[i - 1] === character ? 0 : 1)
+        let distance = Math.min(insertionCost, deletionCost, substitutionCost)
+
+        if (transpositions && secondPreviousRow && i > 1 &&
+            word[i - 1] === previousCharacter && word[i - 2] === character) {
+          distance = Math.min(distance, secondPreviousRow[i - 2] + 1)
+        }
+
+        currentRow.push(distance)
+      }
+
+      if (currentNode.isTerminating && currentRow[word.length] <= maxDistance) {
+        foundNodes.push({ node: currentNode, distance: currentRow[word.length] })
+      }
+
+      // Extending the word cannot bring the distance below 
+      // the smallest one in the row, thus prune the branch.
+      if (Math.min(...currentRow) > maxDistance) {
+        continue
+      }
+
+      for (const child of currentNode.children.values()) {
+        stack.push([child, currentRow, previousRow])
+      }
+    }
+
+    return foundNodes
+      .map(({ node, distance }) => ({ sequence: node.getSequence(), distance }))
+      .sort((a, b) => a.distance - b.distance || compareSequences(a.sequence, b.sequence))
+      .map(({ sequence, distance }) => ({
+        word: isSequence ? sequence : sequence.join(''),
+        distance,
+      }))
   }
 
-  // Removes the given word from the Trie, returns an 
-  // updated Trie. If the word does not exist or cannot be 
-  // removed safely, throws an error.
+  // Splits the given pattern into tokens: a '?' matches any 
+  // single character, a '*' matches any sequence of 
+  // characters (including an empty one), and a set such as 
+  // '[abc]', '[a-z]' or '[!0-9]' matches a single character 
+  // that is (or is not, if negated) in the set. A 
+  // backslash escapes the following character. Throws an 
+  // error if a set is not closed.
   // 
-  // - Complexity (Scalability): O(n), where n is the number 
-  //   of characters in the given word.
-  removeWord(word) {
-    if (typeof word !== 'string') {
-      word = word.toString()
+  // - Complexity (Scalability): O(n), where n is the length 
+  //   of the given pattern.
+  #parsePattern(givenPattern) {
+    // The pattern is split into characters the same way as 
+    // words are.
+    const pattern = this.#tokenize(givenPattern)
+    const tokens = []
+
+    for (let i = 0; i < pattern.length; i++) {
+      const character = pattern[i]
+
+      if (character === '?') {
+        tokens.push({ type: 'any' })
+      } else if (character === '*') {
+        // Consecutive stars are equivalent to a single one.
+        if (tokens[tokens.length - 1]?.type !== 'star') {
+          tokens.push({ type: 'star' })
+        }
+      } else if (character === '[') {
+        const token = { type: 'set', isNegated: false, ranges: [] }
+        let j = i + 1
+
+        if (pattern[j] === '!' || pattern[j] === '^') {
+          token.isNegated = true
+          j++
+        }
+
+        // A closing bracket right after the opening one is 
+        // a part of the set.
+        const setStart = j
+
+        while (j < pattern.length && (pattern[j] !== ']' || j === setStart)) {
+          if (pattern[j + 1] === '-' && j + 2 < pattern.length && pattern[j + 2] !== ']') {
+            token.ranges.push([pattern[j], pattern[j + 2]])
+            j += 3
+          } else {
+            token.ranges.push([pattern[j], pattern[j]])
+            j++
+          }
+        }
+
+        if (j >= pattern.length) {
+          throw new Error(`The given pattern ${givenPattern} cannot be matched because its set at position ${i} is not closed.`)
+        }
+
+        tokens.push(token)
+        i = j
+      } else {
+        if (character === '\\' && i + 1 < pattern.length) {
+          i++
+        }
+
+        tokens.push({ type: 'character', character: pattern[i] })
+      }
     }
-    if (word.length === 0) {
-      return null
+
+    return tokens
+  }
+
+  // Returns true if the given single-character token 
+  // matches the given character, otherwise false.
+  // 
+  // - Complexity (Scalability): O(r), where r is the number 
+  //   of ranges in a set token.
+  #matchesToken(token, character) {
+    switch (token.type) {
+      case 'any':
+        return true
+      case 'character':
+        return token.character === character
+      case 'set': {
+        const isInSet = token.ranges
+          .some(([from, to]) => from <= character && character <= to)
+        return isInSet !== token.isNegated
+      }
+    }
+  }
+
+  // Returns an array of the words that match the given 
+  // pattern (see #parsePattern for its syntax), ordered 
+  // lexicographically. With the type option set to 
+  // 'prefixes', returns every matching prefix stored in the 
+  // Trie, whether it constitutes a complete word or not. 
+  // The words are arrays of tokens if the pattern is an 
+  // array, otherwise strings.
+  // 
+  // - Complexity (Scalability): O(m * p), where m is the 
+  //   number of Nodes in the Trie and p is the length of 
+  //   the pattern.
+  match(pattern, { type = 'words' } = {}) {
+    if (type !== 'words' && type !== 'prefixes') {
+      throw new Error(`Type ${type} is not supported. Provide 'words' or 'prefixes'.`)
+    }
+
+    const isSequence = Array.isArray(pattern)
+    const tokens = this.#parsePattern(pattern)
+    const matchedNodes = new Set()
+    // For every Node, the token indexes it has been visited 
+    // with. A star can lead to the same state in many ways.
+    const visitedStates = new Map()
+    const stack = [[this.root, 0]]
+
+    while (stack.length !== 0) {
+      const [currentNode, tokenIndex] = stack.pop()
+
+      if (!visitedStates.has(currentNode)) {
+        visitedStates.set(currentNode, new Set())
+      }
+      if (visitedStates.get(currentNode).has(tokenIndex)) {
+        continue
+      }
+      visitedStates.get(currentNode).add(tokenIndex)
+
+      // If the whole pattern has matched
+      if (tokenIndex === tokens.length) {
+        if (type === 'prefixes' ? currentNode !== this.root : currentNode.isTerminating) {
+          matchedNodes.add(currentNode)
+        }
+        continue
+      }
+
+      const token = tokens[tokenIndex]
+
+      if (token.type === 'star') {
+        // Either the star matches nothing, or it matches one 
+        // more character and stays.
+        stack.push([currentNode, tokenIndex + 1])
+
+        for (const child of currentNode.children.values()) {
+          stack.push([child, tokenIndex])
+        }
+      } else if (token.type === 'character') {
+        const child = currentNode.getChild(token.character)
+
+        if (child) {
+          stack.push([child, tokenIndex + 1])
+        }
+      } else {
+        for (const child of currentNode.children.values()) {
+          if (this.#matchesToken(token, child.character)) {
+            stack.push([child, tokenIndex + 1])
+          }
+        }
+      }
+    }
+
+    return [...matchedNodes]
+      .map((node) => node.getSequence())
+      .sort(compareSequences)
+      .map((sequence) => isSequence ? sequence : sequence.join(''))
+  }
+
+  // Returns an array of the words that start with the given 
+  // prefix. The words are ordered either lexicographically 
+  // (by default), or with the order set to 'insertion', in 
+  // the order in which their branches were added to the 
+  // Trie. At most limit words are returned.
+  // 
+  // - Complexity (Scalability): O(p + m), where p is the 
+  //   length of the prefix and m is the number of Nodes 
+  //   under the prefix.
+  wordsWithPrefix(prefix, { limit = Infinity, order = 'lexicographic' } = {}) {
+    const words = []
+
+    if (limit <= 0) {
+      return words
+    }
+
+    for (const word of this.iterateWordsWithPrefix(prefix, { order })) {
+      words.push(word)
+
+      if (words.length >= limit) {
+        break
+      }
     }
 
-    this.#removeWord(word, 0, this.root)
+    return words
+  }
+
+  // Lazily yields the words that start with the given 
+  // prefix, in the same order as wordsWithPrefix does. Only 
+  // the Nodes needed to produce the next word are visited.
+  // 
+  // - Complexity (Scalability): O(p + m), where p is the 
+  //   length of the prefix and m is the number of Nodes 
+  //   under the prefix.
+  *iterateWordsWithPrefix(prefix, { order = 'lexicographic' } = {}) {
+    for (const node of this.#iterateTerminatingNodes(prefix, order)) {
+      yield this.#composeWord(node, Array.isArray(prefix))
+    }
+  }
+
+  // Returns an array of at most k words that start with the 
+  // given prefix, ranked from the highest weight (or count 
+  // for words without a weight) down. Ties are broken 
+  // lexicographically. Every word is returned as an object 
+  // containing the word, its count, weight and payload.
+  // 
+  // - Complexity (Scalability): O(p + m * log(m)), where p 
+  //   is the length of the prefix and m is the number of 
+  //   Nodes under the prefix.
+  topK(prefix, k) {
+    const rankedWords = []
+
+    for (const node of this.#iterateTerminatingNodes(prefix, 'lexicographic')) {
+      const word = this.#composeWord(node, Array.isArray(prefix))
+      const { count, weight, payload } = node
+      rankedWords.push({ word, count, weight, payload })
+    }
+
+    const getRank = ({ count, weight }) => weight ?? count
+
+    // The sort is stable, thus keeps the lexicographic order 
+    // among words of the same rank.
+    rankedWords.sort((a, b) => getRank(b) - getRank(a))
+
+    return rankedWords.slice(0, Math.max(k, 0))
+  }
+
+  // Lazily yields every terminating Node under the given 
+  // prefix, in the given order.
+  // 
+  // - Complexity (Scalability): O(p + m), where p is the 
+  //   length of the prefix and m is the number of Nodes 
+  //   under the prefix.
+  *#iterateTerminatingNodes(prefix, order) {
+    if (order !== 'lexicographic' && order !== 'insertion') {
+      throw new Error(`Order ${order} is not supported. Provide 'lexicographic' or 'insertion'.`)
+    }
+    const prefixNode = this.#getNode(prefix)
+
+    if (!prefixNode) {
+      return
+    }
+
+    // Depth-first traversal with an explicit stack, so that 
+    // long words do not exhaust the call stack.
+    const stack = [prefixNode]
+
+    while (stack.length !== 0) {
+      const currentNode = stack.pop()
+
+      if (currentNode.isTerminating) {
+        yield currentNode
+      }
+
+      const children = [...currentNode.children.values()]
+
+      if (order === 'lexicographic') {
+        children.sort((a, b) => a.character < b.character ? -1 : 1)
+      }
+
+      // Push in reverse so that the first child is visited 
+      // first.
+      for (let i = children.length - 1; i >= 0; i--) {
+        stack.push(children[i])
+      }
+    }
+  }
+
+  // Returns the Aho-Corasick automaton of the words of the 
+  // Trie, compiling and caching it unless it is cached 
+  // already. Empty words are left out of the automaton.
+  // 
+  // - Complexity (Scalability): O(m * a), where m is the 
+  //   number of Nodes in the Trie and a is the size of the 
+  //   alphabet, unless the automaton is cached.
+  #getAutomaton(caseInsensitive) {
+    if (!this.#automata.has(caseInsensitive)) {
+      const words = this.iterateWordsWithPrefix([], { order: 'insertion' })
+      this.#automata.set(caseInsensitive, new AhoCorasickAutomaton(words, caseInsensitive))
+    }
+
+    return this.#automata.get(caseInsensitive)
+  }
 
+  // Compiles the words of the Trie into an Aho-Corasick 
+  // automaton ahead of the first scan, optionally matching 
+  // characters regardless of their case. The automaton is 
+  // cached until the Trie changes. Returns the Trie.
+  // 
+  // - Complexity (Scalability): O(m * a), where m is the 
+  //   number of Nodes in the Trie and a is the size of the 
+  //   alphabet.
+  compile({ caseInsensitive = false } = {}) {
+    this.#getAutomaton(caseInsensitive)
     return this
   }
 
-  // An auxiliary method to removeWord. Removes the given 
-  // word from the Trie, returns an updated Trie. If the 
-  // word does not exist or cannot be removed safely, 
-  // throws an error.
+  // Yields a { word, start, end } object for every 
+  // occurrence of a word of the Trie in the given text, 
+  // where end is exclusive. Occurrences are yielded in the 
+  // order of their ends, the longest first. Empty words do 
+  // not occur. With caseInsensitive set, characters are 
+  // matched regardless of their case.
+  // 
+  // With overlapping unset, only occurrences that do not 
+  // overlap are yielded, in the order of their starts, 
+  // picked leftmost-longest: the longest of those that 
+  // start first, then the longest of those that start 
+  // after it ends, and so on. Thus scanning 'cart' for 
+  // 'car' and 'cart' yields 'cart' alone.
+  // 
+  // - Note: uses the Aho-Corasick algorithm. The text is 
+  //   normalized and split the same way as words are, so 
+  //   start and end are positions within the normalized 
+  //   text, or token indexes if the text is an array.
+  // 
+  // - Complexity (Scalability): O(n + k), where n is the 
+  //   length of the text and k is the number of 
+  //   occurrences, once the automaton is compiled.
+  *scan(text, { overlapping = true, caseInsensitive = false } = {}) {
+    const isSequence = Array.isArray(text)
+    const characters = this.#tokenize(text)
+
+    // The position within the text at which each character 
+    // starts, followed by the length of the text.
+    const positions = [0]
+
+    for (const character of characters) {
+      positions.push(positions[positions.length - 1] + (isSequence ? 1 : character.length))
+    }
+
+    const occurrences = this.#getAutomaton(caseInsensitive).scan(characters, { overlapping })
+
+    for (const { word, start, end } of occurrences) {
+      yield {
+        word: isSequence ? [...word] : word.join(''),
+        start: positions[start],
+        end: positions[end],
+      }
+    }
+  }
+
+  // Removes the given word from the Trie, returns an 
+  // updated Trie. Nodes that are left without children and 
+  // do not terminate another word are removed as well. If 
+  // the word does not exist, throws an error.
   // 
   // - Complexity (Scalability): O(n), where n is the number 
   //   of characters in the given word.
-  #removeWord(word, i, currentNode) {
-    const character = word[i]
-    const child = currentNode.getChild(character)
-    let isRemovalCompleted = false
+  removeWord(word) {
+    if (this.#tokenize(word).length === 0) {
+      return null
+    }
+
+    let currentNode = this.#getNode(word)
 
-    if (!child) {
+    if (!currentNode) {
       throw new Error('The given word cannot be removed because it does not exist.')
     }
-    
-    if (i !== word.length - 1) {
-      isRemovalCompleted = this.#removeWord(word, i + 1, child)
-    } else {
-      // If the word has not matched exactly, throw an error.
-      if (!child.isTerminating) {
-        throw new Error('The given word cannot be removed because it has not matched exactly. Make sure to remove words whose length correspons to that of the added ones.')
-      }
 
-      // If the given word is part of a longer word then do 
-      // not delete the Node, instead set the Node's 
-      // isTerminating property to false, thus removing word 
-      // from the Trie. Otherwise delete the Node.
-      child.unsetAsTerminating()
+    // If the word has not matched exactly, throw an error.
+    if (!currentNode.isTerminating) {
+      throw new Error('The given word cannot be removed because it has not matched exactly. Make sure to remove words whose length correspons to that of the added ones.')
+    }
 
-      if (child.hasChildren()) {
-        return true
-      }
+    // If the given word is part of a longer word then do 
+    // not delete the Node, instead set the Node's 
+    // isTerminating property to false, thus removing word 
+    // from the Trie. Otherwise delete the Node, and its 
+    // ancestors that are no longer needed.
+    currentNode.unsetAsTerminating()
 
-      currentNode.removeChild(character)
-      return false
+    while (currentNode !== this.root &&
+           !currentNode.isTerminating &&
+           !currentNode.hasChildren()) {
+      currentNode.parent.removeChild(currentNode.character)
+      currentNode = currentNode.parent
     }
 
-    if (child.isTerminating || isRemovalCompleted) {
-      return true
-    }
+    this.#automata.clear()
 
-    currentNode.removeChild(character)
-    return false
+    return this
   }
 
   // Removes all Nodes from the Trie. Returns an empty Trie.
@@ -241,6 +1005,25 @@ export default class Trie {
   // - Complexity (Scalability): O(1).
   removeAll() {
     this.root = new Node('*')
+    this.#automata.clear()
     return this
   }
+
+  // Returns the number of Nodes in the Trie, including the 
+  // root.
+  // 
+  // - Complexity (Scalability): O(m), where m is the number 
+  //   of Nodes in the Trie.
+  countNodes() {
+    const stack = [this.root]
+    let count = 0
+
+    while (stack.length !== 0) {
+      const currentNode = stack.pop()
+      count++
+      stack.push(...currentNode.children.values())
+    }
+
+    return count
+  }
 }
\ No newline at end of file
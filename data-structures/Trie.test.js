@@ -0,0 +1,411 @@
+// Checks the queries of a Trie, comparing them with a
+// plain array of its words where the results are not
+// obvious.
+//
+// Run with: node --test data-structures/
+
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { Trie } from '../mod.js'
+
+// Returns a Trie with the given words added in order.
+function createTrie(words, options) {
+  const trie = new Trie(options)
+
+  for (const word of words) {
+    trie.addWord(word)
+  }
+
+  return trie
+}
+
+// Returns a function that yields the same sequence of
+// pseudo-random integers below the given limit on every
+// run.
+function createRandom(seed) {
+  let state = seed
+
+  return (limit) => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0
+    return state % limit
+  }
+}
+
+// Returns a random word of the given characters, at most
+// maxLength long.
+function createRandomWord(random, characters, maxLength) {
+  return Array.from({ length: random(maxLength + 1) }, () => characters[random(characters.length)]).join('')
+}
+
+// Returns the [word, start] pairs of the occurrences that
+// scanning the given text yields.
+function scan(trie, text, options) {
+  return Array.from(trie.scan(text, options), ({ word, start }) => [word, start])
+}
+
+test('scan yields every occurrence in the order of their ends, the longest first', () => {
+  const trie = createTrie(['he', 'she', 'his', 'hers'])
+
+  assert.deepEqual(scan(trie, 'ushers'), [['she', 1], ['he', 2], ['hers', 2]])
+})
+
+test('scan without overlapping picks occurrences leftmost-longest', () => {
+  assert.deepEqual(scan(createTrie(['car', 'cart']), 'cart', { overlapping: false }), [['cart', 0]])
+  assert.deepEqual(scan(createTrie(['ab', 'bcd', 'e']), 'abcde', { overlapping: false }), [['ab', 0], ['e', 4]])
+  assert.deepEqual(scan(createTrie(['a', 'b', 'abcx']), 'abcd', { overlapping: false }), [['a', 0], ['b', 1]])
+  assert.deepEqual(scan(createTrie(['aa']), 'aaaaa', { overlapping: false }), [['aa', 0], ['aa', 2]])
+})
+
+test('scan skips empty words', () => {
+  assert.deepEqual(scan(createTrie(['', 'ab']), 'xab'), [['ab', 1]])
+  assert.deepEqual(scan(createTrie(['']), 'xyz'), [])
+})
+
+test('scan matches characters regardless of their case if asked to', () => {
+  const trie = createTrie(['Hello'])
+
+  assert.deepEqual(scan(trie, 'say HELLO'), [])
+  assert.deepEqual(scan(trie, 'say HELLO', { caseInsensitive: true }), [['Hello', 4]])
+})
+
+test('scan is rebuilt after the Trie changes', () => {
+  const trie = createTrie(['ab'])
+
+  assert.equal(trie.compile(), trie)
+  assert.deepEqual(scan(trie, 'abc'), [['ab', 0]])
+
+  trie.addWord('bc')
+  assert.deepEqual(scan(trie, 'abc'), [['ab', 0], ['bc', 1]])
+
+  trie.removeWord('ab')
+  assert.deepEqual(scan(trie, 'abc'), [['bc', 1]])
+})
+
+test('scan reports positions within the text', () => {
+  const trie = createTrie(['🍕', 'ab'])
+
+  assert.deepEqual(Array.from(trie.scan('🍕ab')), [
+    { word: '🍕', start: 0, end: 2 },
+    { word: 'ab', start: 2, end: 4 },
+  ])
+  assert.deepEqual(Array.from(createTrie([['usr', 'bin']]).scan(['', 'usr', 'bin'])), [
+    { word: ['usr', 'bin'], start: 1, end: 3 },
+  ])
+})
+
+test('completes a prefix lexicographically or in insertion order', () => {
+  const trie = createTrie(['tea', 'ten', 'to', 'inn', 'tea', 'in', 'ted'])
+
+  assert.deepEqual(trie.wordsWithPrefix('t'), ['tea', 'ted', 'ten', 'to'])
+  assert.deepEqual(trie.wordsWithPrefix('t', { order: 'insertion' }), ['tea', 'ten', 'ted', 'to'])
+  assert.deepEqual(trie.wordsWithPrefix('in'), ['in', 'inn'])
+  assert.deepEqual(trie.wordsWithPrefix(''), ['in', 'inn', 'tea', 'ted', 'ten', 'to'])
+  assert.deepEqual(trie.wordsWithPrefix('x'), [])
+  assert.deepEqual(trie.wordsWithPrefix('teas'), [])
+  assert.throws(() => trie.wordsWithPrefix('t', { order: 'random' }), /not supported/)
+})
+
+test('completes a prefix with at most limit words', () => {
+  const trie = createTrie(['tea', 'ten', 'to', 'ted'])
+
+  assert.deepEqual(trie.wordsWithPrefix('t', { limit: 2 }), ['tea', 'ted'])
+  assert.deepEqual(trie.wordsWithPrefix('t', { limit: 2, order: 'insertion' }), ['tea', 'ten'])
+  assert.deepEqual(trie.wordsWithPrefix('t', { limit: 10 }), ['tea', 'ted', 'ten', 'to'])
+  assert.deepEqual(trie.wordsWithPrefix('t', { limit: 0 }), [])
+  assert.deepEqual(trie.wordsWithPrefix('t', { limit: -1 }), [])
+})
+
+test('completes a prefix lazily, in the same order', () => {
+  const trie = createTrie(['tea', 'ten', 'to', 'ted'])
+  const words = trie.iterateWordsWithPrefix('te')
+
+  assert.equal(words.next().value, 'tea')
+  assert.deepEqual([...words], ['ted', 'ten'])
+  assert.deepEqual([...trie.iterateWordsWithPrefix('t', { order: 'insertion' })], trie.wordsWithPrefix('t', { order: 'insertion' }))
+})
+
+test('completes a prefix the same way as filtering and sorting all words', () => {
+  const random = createRandom(1)
+  const words = Array.from({ length: 300 }, () => createRandomWord(random, 'abcd', 6))
+  const trie = createTrie(words)
+  const uniqueWords = [...new Set(words)]
+
+  for (const prefix of ['', 'a', 'ab', 'dcb', 'abcda']) {
+    const expectedWords = uniqueWords.filter((word) => word.startsWith(prefix))
+
+    assert.deepEqual(trie.wordsWithPrefix(prefix), [...expectedWords].sort())
+    assert.deepEqual(trie.wordsWithPrefix(prefix, { limit: 5 }), [...expectedWords].sort().slice(0, 5))
+    assert.deepEqual(new Set(trie.wordsWithPrefix(prefix, { order: 'insertion' })), new Set(expectedWords))
+  }
+})
+
+test('counts how many times a word has been added', () => {
+  const trie = createTrie(['tea', 'tea', 'ten', 'tea'])
+
+  assert.equal(trie.frequency('tea'), 3)
+  assert.equal(trie.frequency('ten'), 1)
+  assert.equal(trie.frequency('te'), 0)
+  assert.equal(trie.frequency('x'), 0)
+
+  trie.removeWord('tea')
+  assert.equal(trie.frequency('tea'), 0)
+})
+
+test('ranks words by weight, or by count for words without one', () => {
+  const trie = createTrie(['tea', 'tea', 'ted', 'ten', 'ten', 'ten', 'to'])
+  trie.addWord('ted', { weight: 2.5, payload: { id: 1 } })
+
+  assert.deepEqual(trie.topK('t', 4), [
+    { word: 'ten', count: 3, weight: null, payload: null },
+    { word: 'ted', count: 2, weight: 2.5, payload: { id: 1 } },
+    { word: 'tea', count: 2, weight: null, payload: null },
+    { word: 'to', count: 1, weight: null, payload: null },
+  ])
+
+  // A weight replaces the count as the rank of a word,
+  // and ties are broken lexicographically.
+  trie.addWord('to', { weight: 3 })
+  assert.deepEqual(trie.topK('t', 3).map(({ word }) => word), ['ten', 'to', 'ted'])
+
+  assert.deepEqual(trie.topK('te', 10).map(({ word }) => word), ['ten', 'ted', 'tea'])
+  assert.deepEqual(trie.topK('t', 0), [])
+  assert.deepEqual(trie.topK('t', -1), [])
+  assert.deepEqual(trie.topK('x', 3), [])
+})
+
+test('forgets the weight and payload of a removed word', () => {
+  const trie = createTrie(['tea'])
+  trie.addWord('tea', { weight: 10, payload: 'drink' })
+  trie.removeWord('tea')
+  trie.addWord('tea')
+
+  assert.deepEqual(trie.topK('tea', 1), [{ word: 'tea', count: 1, weight: null, payload: null }])
+})
+
+test('ranks words the same way as sorting all words', () => {
+  const random = createRandom(2)
+  const trie = new Trie()
+  const ranks = new Map()
+
+  for (let i = 0; i < 500; i++) {
+    const word = createRandomWord(random, 'abc', 5)
+
+    if (random(5) === 0) {
+      const weight = random(20) - 5
+      trie.addWord(word, { weight })
+      ranks.set(word, { ...ranks.get(word), weight })
+    } else {
+      trie.addWord(word)
+    }
+
+    const { count = 0, weight } = ranks.get(word) ?? {}
+    ranks.set(word, { count: count + 1, weight })
+  }
+
+  for (const prefix of ['', 'a', 'bc']) {
+    const expectedWords = [...ranks]
+      .filter(([word]) => word.startsWith(prefix))
+      .map(([word, { count, weight }]) => ({ word, rank: weight ?? count }))
+      .sort((a, b) => b.rank - a.rank || (a.word < b.word ? -1 : 1))
+      .slice(0, 10)
+      .map(({ word }) => word)
+
+    assert.deepEqual(trie.topK(prefix, 10).map(({ word }) => word), expectedWords)
+  }
+})
+
+// Returns the edit distance between the given words: the
+// Levenshtein one, or, if transpositions is set, the one
+// that also counts swapping two adjacent characters as a
+// single edit (aka optimal string alignment distance).
+function calculateEditDistance(word, otherWord, transpositions) {
+  const distances = Array.from({ length: word.length + 1 }, (_, i) => Array.from({ length: otherWord.length + 1 }, (_, j) => i + j))
+
+  for (let i = 1; i <= word.length; i++) {
+    for (let j = 1; j <= otherWord.length; j++) {
+      distances[i][j] = Math.min(
+        distances[i - 1][j] + 1,
+        distances[i][j - 1] + 1,
+        distances[i - 1][j - 1] + (word[i - 1] === otherWord[j - 1] ? 0 : 1),
+      )
+
+      if (transpositions && i > 1 && j > 1 &&
+          word[i - 1] === otherWord[j - 2] && word[i - 2] === otherWord[j - 1]) {
+        distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1)
+      }
+    }
+  }
+
+  return distances[word.length][otherWord.length]
+}
+
+test('finds words within an edit distance', () => {
+  const trie = createTrie(['cat', 'cart', 'act', 'cut', 'at', 'dog', ''])
+
+  assert.deepEqual(trie.search('cat', 0), [{ word: 'cat', distance: 0 }])
+  assert.deepEqual(trie.search('cat'), [
+    { word: 'cat', distance: 0 },
+    { word: 'at', distance: 1 },
+    { word: 'cart', distance: 1 },
+    { word: 'cut', distance: 1 },
+  ])
+  assert.deepEqual(trie.search('cat', 2).map(({ word }) => word), ['cat', 'at', 'cart', 'cut', 'act'])
+  assert.deepEqual(trie.search('ct', 2).map(({ word }) => word), ['act', 'at', 'cat', 'cut', '', 'cart'])
+})
+
+test('counts swapping adjacent characters as a single edit if asked to', () => {
+  const trie = createTrie(['act', 'cta'])
+
+  assert.deepEqual(trie.search('cat'), [])
+  assert.deepEqual(trie.search('cat', 1, { transpositions: true }), [
+    { word: 'act', distance: 1 },
+    { word: 'cta', distance: 1 },
+  ])
+})
+
+test('finds the same words as measuring the distance to every word', () => {
+  const random = createRandom(3)
+  const words = [...new Set(Array.from({ length: 200 }, () => createRandomWord(random, 'abcd', 6)))]
+  const trie = createTrie(words)
+
+  for (let i = 0; i < 30; i++) {
+    const word = createRandomWord(random, 'abcd', 6)
+    const maxDistance = random(4)
+
+    for (const transpositions of [false, true]) {
+      const expectedWords = words
+        .map((otherWord) => ({ word: otherWord, distance: calculateEditDistance(word, otherWord, transpositions) }))
+        .filter(({ distance }) => distance <= maxDistance)
+        .sort((a, b) => a.distance - b.distance || (a.word < b.word ? -1 : 1))
+
+      assert.deepEqual(trie.search(word, maxDistance, { transpositions }), expectedWords)
+    }
+  }
+})
+
+// Returns a regular expression that matches whole words
+// the same way as the given pattern of '?', '*' and
+// character sets, such as '[bd]', '[a-c]' or '[!a-c]',
+// does.
+function createRegExp(pattern) {
+  const source = pattern
+    .replace(/\?/g, '.')
+    .replace(/\*/g, '.*')
+    .replace(/\[!/g, '[^')
+
+  return new RegExp(`^(?:${source})$`, 'u')
+}
+
+test('matches words against wildcards', () => {
+  const trie = createTrie(['cat', 'cart', 'cut', 'at', 'act', 'c'])
+
+  assert.deepEqual(trie.match('c?t'), ['cat', 'cut'])
+  assert.deepEqual(trie.match('c*t'), ['cart', 'cat', 'cut'])
+  assert.deepEqual(trie.match('*'), ['act', 'at', 'c', 'cart', 'cat', 'cut'])
+  assert.deepEqual(trie.match('c**'), ['c', 'cart', 'cat', 'cut'])
+  assert.deepEqual(trie.match('*a*t'), ['act', 'at', 'cart', 'cat'])
+  assert.deepEqual(trie.match('c?'), [])
+  assert.deepEqual(trie.match('cat'), ['cat'])
+})
+
+test('matches words against character sets', () => {
+  const trie = createTrie(['a1', 'b2', 'c3', 'd-', 'e]', 'f!', 'x*', 'y?'])
+
+  assert.deepEqual(trie.match('[abc]?'), ['a1', 'b2', 'c3'])
+  assert.deepEqual(trie.match('?[1-2]'), ['a1', 'b2'])
+  assert.deepEqual(trie.match('[!a-c]?'), ['d-', 'e]', 'f!', 'x*', 'y?'])
+  assert.deepEqual(trie.match('[^a-e]?'), ['f!', 'x*', 'y?'])
+  assert.deepEqual(trie.match('?[]!]'), ['e]', 'f!'])
+  assert.deepEqual(trie.match('?[a-]'), ['d-'])
+  assert.deepEqual(trie.match('?\\*'), ['x*'])
+  assert.deepEqual(trie.match('?\\?'), ['y?'])
+  assert.throws(() => trie.match('[abc'), /set at position 0 is not closed/)
+})
+
+test('matches prefixes against a pattern if asked to', () => {
+  const trie = createTrie(['cat', 'cart', 'cut'])
+
+  assert.deepEqual(trie.match('c?', { type: 'prefixes' }), ['ca', 'cu'])
+  assert.deepEqual(trie.match('*t', { type: 'prefixes' }), ['cat', 'cart', 'cut'].sort())
+  assert.deepEqual(trie.match('c*', { type: 'prefixes' }), ['c', 'ca', 'car', 'cart', 'cat', 'cu', 'cut'])
+  assert.throws(() => trie.match('c*', { type: 'suffixes' }), /not supported/)
+})
+
+test('matches the same words as a regular expression', () => {
+  const random = createRandom(4)
+  const words = [...new Set(Array.from({ length: 300 }, () => createRandomWord(random, 'abcd', 6)))]
+  const trie = createTrie(words)
+  const tokens = ['a', 'b', 'c', 'd', '?', '*', '[a-b]', '[!a-b]', '[bd]']
+
+  for (let i = 0; i < 100; i++) {
+    const pattern = Array.from({ length: random(5) + 1 }, () => tokens[random(tokens.length)]).join('')
+    const regExp = createRegExp(pattern)
+
+    assert.deepEqual(trie.match(pattern), words.filter((word) => regExp.test(word)).sort(), pattern)
+  }
+})
+
+test('splits words by code point, grapheme cluster or code unit', () => {
+  // A family emoji: four code points joined by three zero
+  // width joiners, eleven code units in all.
+  const family = '👨‍👩‍👧‍👦'
+  const words = ['🍕🍔', family, 'e\u0301']
+
+  const byCodePoint = createTrie(words)
+  const byGrapheme = createTrie(words, { segmentation: 'grapheme' })
+  const byCodeUnit = createTrie(words, { segmentation: 'codeUnit' })
+
+  assert.equal(byCodePoint.countNodes(), 1 + 2 + 7 + 2)
+  assert.equal(byGrapheme.countNodes(), 1 + 2 + 1 + 1)
+  assert.equal(byCodeUnit.countNodes(), 1 + 4 + 11 + 2)
+
+  assert.ok(byCodePoint.contains('🍕'))
+  assert.ok(!byCodePoint.contains('\ud83c'))
+  assert.ok(byCodeUnit.contains('\ud83c'))
+  assert.ok(!byGrapheme.contains('👨'))
+  assert.ok(byCodePoint.contains('👨'))
+  assert.ok(!byGrapheme.contains('e'))
+
+  assert.deepEqual(byGrapheme.match('?'), [family, 'e\u0301'].sort())
+  assert.deepEqual(byCodePoint.match('?'), [])
+  assert.deepEqual(byGrapheme.search('x', 1), [{ word: 'e\u0301', distance: 1 }, { word: family, distance: 1 }])
+  assert.deepEqual(byCodePoint.search('x', 1), [])
+  assert.throws(() => new Trie({ segmentation: 'word' }), /not supported/)
+})
+
+test('normalizes and case folds words if asked to', () => {
+  const composed = 'caf\u00e9'
+  const decomposed = 'cafe\u0301'
+
+  assert.ok(!createTrie([composed]).contains(decomposed, true))
+  assert.ok(createTrie([composed], { normalization: 'NFC' }).contains(decomposed, true))
+  assert.deepEqual(createTrie([decomposed], { normalization: 'NFC' }).wordsWithPrefix(''), [composed])
+
+  const trie = createTrie(['Straße', 'STRASSE', 'Tea'], { caseFold: true })
+
+  assert.equal(trie.frequency('strasse'), 2)
+  assert.deepEqual(trie.wordsWithPrefix('T'), ['tea'])
+  assert.throws(() => new Trie({ normalization: 'NFX' }), /not supported/)
+})
+
+test('stores arrays of tokens, returning arrays for array queries', () => {
+  const trie = createTrie([['usr', 'bin'], ['usr', 'lib'], ['usr'], ['var', 'log']])
+
+  assert.ok(trie.contains(['usr', 'bin'], true))
+  assert.ok(!trie.contains(['usr', 'bi']))
+  assert.ok(!trie.contains('usr'))
+  assert.equal(trie.frequency(['usr']), 1)
+
+  assert.deepEqual(trie.wordsWithPrefix(['usr']), [['usr'], ['usr', 'bin'], ['usr', 'lib']])
+  assert.deepEqual(trie.topK(['usr'], 1).map(({ word }) => word), [['usr']])
+  assert.deepEqual(trie.search(['usr', 'bim'], 0), [])
+  assert.deepEqual(trie.search(['usr', 'bin'], 0), [{ word: ['usr', 'bin'], distance: 0 }])
+  assert.deepEqual(trie.search(['usr']), [{ word: ['usr'], distance: 0 }, { word: ['usr', 'bin'], distance: 1 }, { word: ['usr', 'lib'], distance: 1 }])
+  assert.deepEqual(trie.match(['usr', '*']), [['usr'], ['usr', 'bin'], ['usr', 'lib']])
+  assert.deepEqual(trie.match(['*', '[k-m]og']), [])
+  assert.deepEqual(trie.match(['?', 'log']), [['var', 'log']])
+
+  trie.removeWord(['usr', 'bin'])
+  assert.deepEqual(trie.wordsWithPrefix(['usr']), [['usr'], ['usr', 'lib']])
+})
@@ -0,0 +1,70 @@
+import fnv1a from './fnv1a.js'
+
+const float64 = new Float64Array(1)
+const float64Words = new Uint32Array(float64.buffer)
+
+const identityHashCodes = new WeakMap()
+let lastIdentityHashCode = 0
+
+// Mixes the bits of a 32-bit integer so that a change of 
+// any input bit affects about half of the output bits 
+// (the MurmurHash3 finalizer).
+function mix(hashCode) {
+  hashCode ^= hashCode >>> 16
+  hashCode = Math.imul(hashCode, 0x85ebca6b)
+  hashCode ^= hashCode >>> 13
+  hashCode = Math.imul(hashCode, 0xc2b2ae35)
+  hashCode ^= hashCode >>> 16
+
+  return hashCode >>> 0
+}
+
+// Calculates a non-negative 32-bit hash code of a value of 
+// any type. Objects and functions are hashed by the result 
+// of their hashCode() method if such is provided, 
+// otherwise by identity.
+export default function calculateHashCode(value) {
+  switch (typeof value) {
+    case 'string':
+      return mix(fnv1a(value))
+
+    case 'number':
+      // 0 and -0, as well as all NaNs, are the same key.
+      if (value === 0) {
+        return 0
+      }
+      if (Number.isNaN(value)) {
+        return mix(0x7ff80000)
+      }
+
+      float64[0] = value
+      return mix(Math.imul(float64Words[0], 0x01000193) ^ float64Words[1])
+
+    case 'bigint':
+      return mix(fnv1a(value.toString(16)) ^ 0x5bd1e995)
+
+    case 'boolean':
+      return value ? mix(1231) : mix(1237)
+
+    case 'undefined':
+      return mix(0x9e3779b9)
+
+    case 'symbol':
+      return mix(fnv1a(value.description ?? '') ^ 0x27d4eb2f)
+
+    default:
+      if (value === null) {
+        return mix(0x85ebca77)
+      }
+
+      if (typeof value.hashCode === 'function') {
+        return calculateHashCode(value.hashCode())
+      }
+
+      if (!identityHashCodes.has(value)) {
+        identityHashCodes.set(value, mix(++lastIdentityHashCode))
+      }
+
+      return identityHashCodes.get(value)
+  }
+}
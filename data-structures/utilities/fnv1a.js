@@ -0,0 +1,20 @@
+// Calculates the 32-bit FNV-1a hash code of a string.
+export default function fnv1a(givenString) {
+  if (typeof givenString !== 'string') {
+    throw new Error(`Type ${typeof givenString} of value ${givenString} is not supported. Provide value of type String.`)
+  }
+
+  let hashCode = 0x811c9dc5
+
+  // Each UTF-16 code unit is fed as two octets.
+  for (let i = 0; i < givenString.length; i++) {
+    const codeUnit = givenString.charCodeAt(i)
+
+    hashCode ^= codeUnit & 0xff
+    hashCode = Math.imul(hashCode, 0x01000193)
+    hashCode ^= codeUnit >>> 8
+    hashCode = Math.imul(hashCode, 0x01000193)
+  }
+
+  return hashCode >>> 0
+}
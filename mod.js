@@ -7,4 +7,6 @@ export { default as Tree } from './data-structures/Tree.js';
 export { default as BinarySearchTree } from './data-structures/BinarySearchTree.js';
 export { default as Graph } from './data-structures/Graph.js';
 export { default as Trie } from './data-structures/Trie.js';
+export { default as RadixTrie } from './data-structures/RadixTrie.js';
 export { default as BinaryMinHeap } from './data-structures/BinaryMinHeap.js';
+export { default as DisjointSet } from './data-structures/DisjointSet.js';